@@ -1,105 +1,177 @@
-const functions = require('firebase-functions');
-const admin = require('firebase-admin');
-const cors = require('cors')({origin: true});
+import crypto from 'crypto';
+import functions from 'firebase-functions';
+import admin from 'firebase-admin';
+import corsMiddleware from 'cors';
+import { carryPuzzle, normalizePuzzleContent, validatePuzzle } from './shared/puzzleSchema.js';
+import { matchTitle, normalizeTitle } from './shared/titleMatching.js';
+import { DEFAULT_REPLAY_COOLDOWN_DAYS, findDuplicates, getCooldownCutoff, isSameMovie } from './shared/duplicates.js';
+import { GUESS_COLLECTION, GUESS_KINDS, TOP_GUESSES, summarizeAnalytics, toGuessCounts } from './shared/analytics.js';
+import { hasPermission, ROLES } from './shared/access.js';
+import { MEDIA_PATH_PREFIX, getBlurredMediaPath, isMediaClue, isMediaUrlFor, toClue } from './shared/clues.js';
+import {
+  PUZZLE_TIME_ZONE,
+  ROLLOVER_CRON,
+  addDaysToKey,
+  getPuzzleDayBounds,
+  getPuzzleDayKey
+} from './shared/puzzleDay.js';
+import { MIN_HEARTBEAT_GAP_MS, PRESENCE_TTL_MS } from './shared/presence.js';
+import { buildQueueSchedule, pickPuzzleForDate } from './shared/schedule.js';
+import { DEFAULT_TRACK, TRACK_IDS, getTrack, getTrackDocId, getTrackFromDocId, isTrack } from './shared/tracks.js';
+import {
+  DEFAULT_FALLBACK_POLICY,
+  DEFAULT_FALLBACK_REPLAY_DAYS,
+  FALLBACK_POLICIES,
+  getFallbackKinds,
+  isWellRated
+} from './shared/fallback.js';
+import { consumeRateLimit } from './rateLimit.js';
+import { getMediaBucketName, getMediaUrl, getSignedMediaUrl, hasBlurredCopy, writeBlurredCopy } from './media.js';
+
+const cors = corsMiddleware({origin: true});
 
 // Initialize Firebase Admin
 admin.initializeApp();
 const db = admin.firestore();
 
 /**
- * Get the start and end timestamps for today in IST
+ * Validate a track sent by the client, defaulting to DEFAULT_TRACK when none is given
  */
-const getTodayISTBounds = () => {
-  const now = new Date();
-  
-  // Convert to IST (UTC+5:30)
-  const istOffset = 5.5 * 60 * 60 * 1000;
-  const istNow = new Date(now.getTime() + istOffset);
-  
-  // Get start of day (12:00 AM IST)
-  const startOfDay = new Date(istNow);
-  startOfDay.setUTCHours(0, 0, 0, 0);
-  
-  // Get end of day (11:59:59 PM IST)
-  const endOfDay = new Date(istNow);
-  endOfDay.setUTCHours(23, 59, 59, 999);
-  
-  return {
-    start: startOfDay,
-    end: endOfDay,
-    now: istNow
-  };
+const parseTrack = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_TRACK;
+  if (!isTrack(value)) {
+    throw new functions.https.HttpsError('invalid-argument', 'Unknown track');
+  }
+  return value;
+};
+
+/**
+ * Read the puzzle a player is working on: an archived one when historyId is given,
+ * otherwise the track's live one. Resolves to null if it doesn't exist.
+ */
+const readPlayablePuzzle = async (historyId, track = DEFAULT_TRACK) => {
+  const puzzleRef = historyId
+    ? db.collection('historyPuzzles').doc(String(historyId))
+    : db.collection('displayPuzzle').doc(getTrackDocId(track));
+  const puzzleDoc = await puzzleRef.get();
+
+  return puzzleDoc.exists ? puzzleDoc.data() : null;
+};
+
+/**
+ * Same as readPlayablePuzzle, but failing with a callable error if there is none
+ */
+const getPlayablePuzzle = async (historyId, track) => {
+  const puzzle = await readPlayablePuzzle(historyId, track);
+
+  if (!puzzle) {
+    throw new functions.https.HttpsError('not-found', historyId ? 'Archived puzzle not found' : 'No puzzle is live right now');
+  }
+
+  return puzzle;
+};
+
+/**
+ * Validate a clue index sent by the client against the live puzzle
+ */
+const parseClueIndex = (value, puzzle) => {
+  const clueIndex = Number(value) || 0;
+
+  if (!Number.isInteger(clueIndex) || clueIndex < 0 || clueIndex >= puzzle.clues.length) {
+    throw new functions.https.HttpsError('invalid-argument', 'Invalid clue index');
+  }
+
+  return clueIndex;
+};
+
+/**
+ * The player behind a callable: their uid
+ * The app signs visitors in anonymously before calling (ensurePlayer in
+ * src/firebase/session.js), so every player can be told apart.
+ */
+const getPlayerKey = (context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Reload the page to start playing');
+  }
+  return context.auth.uid;
+};
+
+// Progress docs outlive their puzzle by this long, for a Firestore TTL policy on expiresAt
+const PROGRESS_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const getProgressRef = (puzzle, playerKey) => db.collection('puzzleProgress').doc(`${puzzle.sourceId}_${playerKey}`);
+
+/**
+ * The last clue index of a live puzzle the server has sent a player
+ * The client's clueIndex is never trusted on its own: a solve counts at the
+ * furthest clue the player has seen, and the answer is only revealed to players
+ * who have been sent every clue.
+ */
+const getRevealedClue = async (puzzle, playerKey) => {
+  const progressDoc = await getProgressRef(puzzle, playerKey).get();
+  return progressDoc.exists ? progressDoc.data().revealed : 0;
+};
+
+/**
+ * Note that a player has been sent a live puzzle's clues up to clueIndex
+ */
+const recordRevealedClue = async (puzzle, clueIndex, playerKey) => {
+  if (clueIndex === 0) return;
+  const progressRef = getProgressRef(puzzle, playerKey);
+  const expiresAt = (puzzle.expiryDate ? puzzle.expiryDate.toMillis() : Date.now()) + PROGRESS_TTL_MS;
+
+  await db.runTransaction(async (t) => {
+    const progressDoc = await t.get(progressRef);
+    if (progressDoc.exists && progressDoc.data().revealed >= clueIndex) return;
+    t.set(progressRef, {
+      puzzleId: puzzle.sourceId || null,
+      revealed: clueIndex,
+      expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt)
+    });
+  });
+};
+
+/**
+ * Reject requests made against a puzzle that has since been rotated out
+ */
+const assertSamePuzzle = (puzzleId, puzzle) => {
+  if (puzzleId && puzzle.sourceId && puzzleId !== puzzle.sourceId) {
+    throw new functions.https.HttpsError('failed-precondition', 'Puzzle has changed, please reload');
+  }
+};
+
+/**
+ * Rotate every track in turn
+ * One track failing doesn't hold up the others; the first error is rethrown at the end.
+ */
+const rotateAllTracks = async () => {
+  let firstError = null;
+  for (const track of TRACK_IDS) {
+    try {
+      const result = await rotatePuzzleLogic({ track });
+      console.log(`[${track}] rotation:`, result.status);
+    } catch (error) {
+      console.error(`[${track}] rotation failed:`, error);
+      firstError = firstError || error;
+    }
+  }
+  if (firstError) throw firstError;
 };
 
 /**
- * Scheduled function to rotate puzzle daily at midnight IST
- * Runs at 00:00 IST (18:30 UTC previous day)
+ * Scheduled function to rotate every track daily at the rollover hour
+ * Time and zone come from functions/shared/puzzleDay.js
  */
-exports.rotateDailyPuzzle = functions.pubsub
-  .schedule('30 18 * * *') // 18:30 UTC = 00:00 IST (midnight)
-  .timeZone('Asia/Kolkata')
+export const rotateDailyPuzzle = functions.pubsub
+  .schedule(ROLLOVER_CRON)
+  .timeZone(PUZZLE_TIME_ZONE)
   .onRun(async (context) => {
-    console.log('Starting daily puzzle rotation at midnight IST...');
+    console.log(`Starting daily puzzle rotation (${ROLLOVER_CRON}, ${PUZZLE_TIME_ZONE})...`);
     
     try {
-      const displayDocRef = db.collection('displayPuzzle').doc('current');
-      const displayDoc = await displayDocRef.get();
-      
-      // Step 1: Move current display puzzle to history (if exists)
-      if (displayDoc.exists) {
-        const currentPuzzle = displayDoc.data();
-        console.log('Moving current puzzle to history:', currentPuzzle.movieName);
-        
-        await db.collection('historyPuzzles').add({
-          ...currentPuzzle,
-          movedToHistoryAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        console.log('Current puzzle moved to history');
-      } else {
-        console.log('No current display puzzle found');
-      }
-      
-      // Step 2: Get the oldest approved puzzle (FIFO)
-      const approvedQuery = db.collection('approvedPuzzles')
-        .orderBy('createdAt', 'asc')
-        .limit(1);
-      
-      const approvedSnapshot = await approvedQuery.get();
-      
-      if (approvedSnapshot.empty) {
-        console.log('No approved puzzles available for rotation');
-        return null;
-      }
-      
-      const nextPuzzleDoc = approvedSnapshot.docs[0];
-      const nextPuzzle = nextPuzzleDoc.data();
-      
-      console.log('Next puzzle selected:', nextPuzzle.movieName);
-      
-      // Step 3: Set as display puzzle with today's expiry
-      const { end } = getTodayISTBounds();
-      
-      await displayDocRef.set({
-        movieName: nextPuzzle.movieName,
-        submittedBy: nextPuzzle.submittedBy,
-        clues: nextPuzzle.clues,
-        createdAt: nextPuzzle.createdAt,
-        approvedAt: nextPuzzle.approvedAt,
-        displayedAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiryDate: admin.firestore.Timestamp.fromDate(end),
-        sourceId: nextPuzzleDoc.id
-      });
-      
-      console.log('New puzzle set as display with expiry:', end);
-      
-      // Step 4: Delete from approved puzzles
-      await nextPuzzleDoc.ref.delete();
-      console.log('Puzzle removed from approved collection');
-      
-      console.log('✅ Daily puzzle rotation completed successfully!');
+      await rotateAllTracks();
+      console.log('✅ Daily puzzle rotation finished');
       return null;
-      
     } catch (error) {
       console.error('❌ Error in daily puzzle rotation:', error);
       throw error;
@@ -108,36 +180,18 @@ exports.rotateDailyPuzzle = functions.pubsub
 
 /**
  * Backup function: Check and rotate if needed (runs every hour)
- * This ensures rotation happens even if the midnight function fails
+ * This ensures rotation happens even if the daily function fails
  */
-exports.checkAndRotatePuzzle = functions.pubsub
+export const checkAndRotatePuzzle = functions.pubsub
   .schedule('0 * * * *') // Every hour
-  .timeZone('Asia/Kolkata')
+  .timeZone(PUZZLE_TIME_ZONE)
   .onRun(async (context) => {
     console.log('Checking if puzzle rotation is needed...');
     
     try {
-      const displayDocRef = db.collection('displayPuzzle').doc('current');
-      const displayDoc = await displayDocRef.get();
-      
-      if (!displayDoc.exists) {
-        console.log('No display puzzle found, triggering rotation...');
-        // Trigger rotation by calling the main function logic
-        return rotatePuzzleLogic();
-      }
-      
-      const puzzleData = displayDoc.data();
-      const expiryDate = puzzleData.expiryDate?.toDate();
-      const now = new Date();
-      
-      if (!expiryDate || now > expiryDate) {
-        console.log('Display puzzle has expired, triggering rotation...');
-        return rotatePuzzleLogic();
-      }
-      
-      console.log('Current puzzle is still valid, no rotation needed');
+      await rotateAllTracks();
+      console.log('Rotation check finished');
       return null;
-      
     } catch (error) {
       console.error('Error checking puzzle expiry:', error);
       throw error;
@@ -146,127 +200,1063 @@ exports.checkAndRotatePuzzle = functions.pubsub
 
 /**
  * Trigger: When a new puzzle is approved, check if we need to display it immediately
- * This ensures displayPuzzle is never empty if there are approved puzzles
+ * This ensures displayPuzzle is never empty if there are approved puzzles.
+ * Covers approvals and bulk imports alike, so the track's note that no replay
+ * was found today (see pickReplayPuzzle) is cleared here too.
  */
-exports.onPuzzleApproved = functions.firestore
+export const onPuzzleApproved = functions.firestore
   .document('approvedPuzzles/{puzzleId}')
   .onCreate(async (snap, context) => {
-    console.log('New puzzle approved, checking if display is empty...');
+    const track = getTrack(snap.data());
+    console.log(`New puzzle approved for ${track}, checking if display is empty...`);
     try {
-      const displayDocRef = db.collection('displayPuzzle').doc('current');
-      const displayDoc = await displayDocRef.get();
-
-      let shouldRotate = false;
-
-      if (!displayDoc.exists) {
-        console.log('Display puzzle is empty. Promoting new puzzle immediately.');
-        shouldRotate = true;
-      } else {
-        const puzzleData = displayDoc.data();
-        const expiryDate = puzzleData.expiryDate?.toDate();
-        const now = new Date();
-
-        if (!expiryDate || now > expiryDate) {
-          console.log('Current display puzzle is expired. Promoting new puzzle.');
-          shouldRotate = true;
-        }
-      }
+      await getReplayPoolRef(track).delete();
+      const result = await rotatePuzzleLogic({ track });
+      console.log('Rotation after approval:', result.status);
+    } catch (error) {
+      console.error('Error in onPuzzleApproved trigger:', error);
+    }
+  });
 
-      if (shouldRotate) {
-        await rotatePuzzleLogic();
+/**
+ * Mirror each track's live puzzle public fields to puzzleStatus/{same id}
+ * displayPuzzle holds the answer, so players listen to this doc instead to
+ * see a rotation happen. Covers every writer: scheduled, lazy and admin.
+ */
+export const onDisplayPuzzleWritten = functions.firestore
+  .document('displayPuzzle/{trackDoc}')
+  .onWrite(async (change, context) => {
+    const statusRef = db.collection('puzzleStatus').doc(context.params.trackDoc);
+    try {
+      if (!change.after.exists) {
+        await statusRef.delete();
+        return;
       }
+      const puzzle = change.after.data();
+      await statusRef.set({
+        track: getTrackFromDocId(context.params.trackDoc),
+        sourceId: puzzle.sourceId || null,
+        puzzleDate: getPuzzleDateKey(puzzle),
+        expiryDate: puzzle.expiryDate || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
     } catch (error) {
-      console.error('Error in onPuzzleApproved trigger:', error);
+      console.error('Error mirroring puzzle status:', error);
+    }
+  });
+
+/**
+ * Caller's admin role from admins/{uid}, or null for players
+ */
+const getAdminRole = async (uid) => {
+  const adminDoc = await db.collection('admins').doc(uid).get();
+  return adminDoc.exists ? adminDoc.data().role || null : null;
+};
+
+/**
+ * Reject a callable unless the caller's admin role grants a permission
+ * Resolves to the caller as an audit log actor
+ */
+const requirePermission = async (context, permission) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in as an admin');
+  }
+  const role = await getAdminRole(context.auth.uid);
+  if (!hasPermission(role, permission)) {
+    throw new functions.https.HttpsError('permission-denied', 'Your admin role does not allow this');
+  }
+  return { uid: context.auth.uid, email: context.auth.token.email || null, role };
+};
+
+// Actor for audit entries written by scheduled jobs and public triggers
+const SYSTEM_ACTOR = { uid: null, email: 'system', role: null };
+
+/**
+ * Audit log entry, in the same shape the admin dashboard writes
+ * target is { collection, id, movieName }
+ */
+const buildAuditEntry = (action, actor, target, details = {}) => ({
+  action,
+  actorUid: actor.uid,
+  actorEmail: actor.email,
+  actorRole: actor.role,
+  target,
+  details,
+  at: admin.firestore.FieldValue.serverTimestamp()
+});
+
+// Possible outcomes of rotatePuzzleLogic
+const ROTATION_STATUS = {
+  ROTATED: 'rotated',
+  ALREADY_CURRENT: 'already_current',
+  QUEUE_EMPTY: 'queue_empty'
+};
+
+/**
+ * Puzzle day a display puzzle went live on
+ * Older display docs have no puzzleDate, so fall back to when they were displayed
+ */
+const getPuzzleDateKey = (puzzle) => {
+  if (puzzle.puzzleDate) return puzzle.puzzleDate;
+  if (puzzle.displayedAt) return getPuzzleDayKey(puzzle.displayedAt.toDate());
+  return null;
+};
+
+// Longest prefix stored per word for history search
+const MAX_KEYWORD_LENGTH = 15;
+
+/**
+ * Search fields stored on every history doc
+ * searchKeywords holds each prefix of each word in the movie name, alternate names and
+ * submitter, so the archive can be searched with a single array-contains query.
+ * puzzleMonth ('YYYY-MM') backs the month filter.
+ */
+const getHistorySearchFields = (puzzle, dateKey) => {
+  const text = [puzzle.movieName, ...(puzzle.alternateNames || []), puzzle.submittedBy].join(' ');
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const keywords = new Set();
+
+  words.forEach((word) => {
+    for (let i = 1; i <= Math.min(word.length, MAX_KEYWORD_LENGTH); i++) {
+      keywords.add(word.slice(0, i));
+    }
+  });
+
+  return {
+    searchKeywords: [...keywords],
+    puzzleMonth: dateKey ? dateKey.slice(0, 7) : null,
+    track: getTrack(puzzle)
+  };
+};
+
+/**
+ * Key for a contributor's leaderboard entry
+ * Puzzles from before submitter accounts only have a name to go on
+ */
+const getContributorId = (puzzle) => {
+  if (puzzle.submitterUid) return puzzle.submitterUid;
+  return `name_${(puzzle.submittedBy || 'anonymous').toLowerCase().trim()}`;
+};
+
+/**
+ * Solve totals from a puzzle's clueCounts ({ clueIndex: solvers })
+ * clueSum weights each solve by the clue it took (1-based), so clueSum / solves
+ * is the average clue needed - higher means the puzzle played harder.
+ */
+const summarizeClueCounts = (clueCounts = {}) => {
+  let solves = 0;
+  let clueSum = 0;
+
+  Object.entries(clueCounts).forEach(([clueIndex, count]) => {
+    solves += count;
+    clueSum += (Number(clueIndex) + 1) * count;
+  });
+
+  return { solves, clueSum };
+};
+
+// Guess analytics for the live puzzle, archived into historyStats at rotation
+const MAX_GUESS_KEY_LENGTH = 60;
+
+/**
+ * Coarse key for requests that come without an account: a hash of the IP address
+ * Everyone behind one NAT or proxy shares it, so it is only used where no
+ * account is sent (checkAndRotatePublic).
+ */
+const getIpKey = (req) => {
+  return `ip_${crypto.createHash('md5').update(req.ip || 'unknown').digest('hex')}`;
+};
+
+/**
+ * Reject a callable once the player has used up an endpoint's rate limit
+ */
+const enforceRateLimit = async (endpoint, context) => {
+  const { allowed, retryAfterMs } = await consumeRateLimit(endpoint, getPlayerKey(context));
+  if (!allowed) {
+    throw new functions.https.HttpsError(
+      'resource-exhausted',
+      `Too many requests, try again in ${Math.ceil(retryAfterMs / 1000)} seconds`
+    );
+  }
+};
+
+/**
+ * Count a verified win towards the live puzzle's public clueCounts
+ * Each player (by uid, guests included) is counted once per puzzle; the increment
+ * is transactional so concurrent winners never overwrite each other.
+ * Resolves to true for a first solve.
+ */
+const recordSolve = async (puzzle, clueIndex, playerKey) => {
+  const statsRef = db.collection('puzzleStats').doc(getTrackDocId(getTrack(puzzle)));
+  const solverRef = db.collection('puzzleSolvers').doc(`${puzzle.sourceId}_${playerKey}`);
+
+  try {
+    return await db.runTransaction(async (t) => {
+      const solverDoc = await t.get(solverRef);
+      if (solverDoc.exists) return false;
+
+      t.set(statsRef, {
+        puzzleId: puzzle.sourceId || null,
+        clueCounts: { [clueIndex]: admin.firestore.FieldValue.increment(1) }
+      }, { merge: true });
+      t.set(solverRef, {
+        puzzleId: puzzle.sourceId || null,
+        clueIndex,
+        solvedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return true;
+    });
+  } catch (error) {
+    console.error('Error recording solve:', error);
+    return false;
+  }
+};
+
+/**
+ * Count a guess or give-up on the live puzzle
+ * Guesses are stored normalised so "The Dark Knight" and "dark knight!" add up,
+ * each in its own doc (see functions/shared/analytics.js).
+ * Never throws - analytics must not break play.
+ */
+const recordAnalytics = async (puzzle, clueIndex, outcome, guess = '') => {
+  const increment = admin.firestore.FieldValue.increment(1);
+  const analyticsRef = db.collection('puzzleAnalytics').doc(getTrackDocId(getTrack(puzzle)));
+  const update = {
+    puzzleId: puzzle.sourceId || null,
+    [outcome === 'giveUp' ? 'giveUps' : 'attempts']: { [clueIndex]: increment }
+  };
+  const writes = [];
+
+  if (outcome === 'won') {
+    update.wins = { [clueIndex]: increment }; // First solve only; repeats count as plain attempts
+  } else if (GUESS_KINDS[outcome] && puzzle.sourceId) {
+    const key = normalizeTitle(guess).slice(0, MAX_GUESS_KEY_LENGTH);
+    if (key) {
+      writes.push(analyticsRef.collection(GUESS_COLLECTION).doc(`${puzzle.sourceId}_${outcome}_${key}`).set({
+        puzzleId: puzzle.sourceId,
+        kind: outcome,
+        guess: key,
+        count: increment
+      }, { merge: true }));
     }
+  }
+
+  try {
+    await Promise.all([analyticsRef.set(update, { merge: true }), ...writes]);
+  } catch (error) {
+    console.error('Error recording analytics:', error);
+  }
+};
+
+/**
+ * Most frequent guesses of one kind for a puzzle, as a query
+ */
+const topGuessesQuery = (analyticsRef, puzzleId, kind) => analyticsRef.collection(GUESS_COLLECTION)
+  .where('puzzleId', '==', puzzleId)
+  .where('kind', '==', kind)
+  .orderBy('count', 'desc')
+  .limit(TOP_GUESSES);
+
+/**
+ * Delete a track's guess docs for every puzzle but the live one, after a rotation
+ */
+const clearOldGuesses = async (track, livePuzzleId) => {
+  const guessesRef = db.collection('puzzleAnalytics').doc(getTrackDocId(track)).collection(GUESS_COLLECTION);
+  let snapshot;
+  do {
+    snapshot = await guessesRef.where('puzzleId', '!=', livePuzzleId).limit(400).get();
+    const batch = db.batch();
+    snapshot.docs.forEach(d => batch.delete(d.ref));
+    if (!snapshot.empty) await batch.commit();
+  } while (snapshot.size === 400);
+};
+
+/**
+ * Add one archived puzzle to a contributor's totals
+ */
+const addToContributor = (contributor, puzzle, stats) => {
+  const { solves, clueSum } = summarizeClueCounts(stats.clueCounts);
+  const totalSolves = (contributor.totalSolves || 0) + solves;
+  const totalClueSum = (contributor.clueSum || 0) + clueSum;
+
+  return {
+    displayName: puzzle.submittedBy || contributor.displayName || 'Anonymous',
+    submitterUid: puzzle.submitterUid || null,
+    published: (contributor.published || 0) + 1,
+    totalSolves,
+    clueSum: totalClueSum,
+    avgSolveClue: totalSolves > 0 ? totalClueSum / totalSolves : 0
+  };
+};
+
+// Replays are picked at random from this many eligible archived puzzles at most
+const MAX_REPLAY_CANDIDATES = 20;
+
+// The default track's vault puzzles are found by reading the vault this many at a time
+const VAULT_PAGE_SIZE = 20;
+
+/**
+ * Oldest vault puzzle for a track, or null if the track's vault is empty
+ * Untracked puzzles belong to the default track and can't be matched in a
+ * query, so its vault is paged through oldest first until one turns up.
+ */
+const pickVaultPuzzle = async (track) => {
+  const vault = db.collection('vaultPuzzles').orderBy('createdAt', 'asc');
+  let vaultDoc = null;
+
+  if (track !== DEFAULT_TRACK) {
+    const snapshot = await vault.where('track', '==', track).limit(1).get();
+    vaultDoc = snapshot.docs[0] || null;
+  } else {
+    let snapshot;
+    let page = vault.limit(VAULT_PAGE_SIZE);
+    do {
+      snapshot = await page.get();
+      vaultDoc = snapshot.docs.find(d => getTrack(d.data()) === track) || null;
+      if (!snapshot.empty) page = vault.startAfter(snapshot.docs[snapshot.size - 1]).limit(VAULT_PAGE_SIZE);
+    } while (!vaultDoc && snapshot.size === VAULT_PAGE_SIZE);
+  }
+
+  return vaultDoc ? { kind: 'vault', id: vaultDoc.id, ref: vaultDoc.ref, puzzle: vaultDoc.data() } : null;
+};
+
+/**
+ * Items in random order (Fisher-Yates), leaving the original alone
+ */
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const getReplayPoolRef = (track) => db.collection('replayPool').doc(getTrackDocId(track));
+
+/**
+ * Random well-rated archived puzzle of a track whose movie hasn't been on in replayDays
+ * The live puzzle counts as shown, since it is about to be archived.
+ * Finding none is recorded in replayPool/{track} for the puzzle day: nothing is
+ * archived while the queue stays empty, so every visitor and hourly run until
+ * the next day (or a change of replayDays) skips the scan of historyStats.
+ */
+const pickReplayPuzzle = async (track, replayDays) => {
+  const todayKey = getPuzzleDayKey();
+  const poolRef = getReplayPoolRef(track);
+  const poolDoc = await poolRef.get();
+  if (poolDoc.exists && poolDoc.data().exhaustedOn === todayKey && poolDoc.data().replayDays === replayDays) {
+    return null;
+  }
+
+  const cutoff = admin.firestore.Timestamp.fromDate(getCooldownCutoff(replayDays));
+  const [statsSnapshot, recentSnapshot, displayDoc] = await Promise.all([
+    db.collection('historyStats').where('archivedAt', '<', cutoff).get(),
+    db.collection('historyPuzzles').where('movedToHistoryAt', '>=', cutoff).get(),
+    db.collection('displayPuzzle').doc(getTrackDocId(track)).get()
+  ]);
+
+  const recent = recentSnapshot.docs.map(d => d.data());
+  if (displayDoc.exists) recent.push(displayDoc.data());
+
+  const candidates = shuffle(statsSnapshot.docs.filter(d => getTrack(d.data()) === track && isWellRated(d.data())))
+    .slice(0, MAX_REPLAY_CANDIDATES);
+
+  for (const statsDoc of candidates) {
+    const historyDoc = await db.collection('historyPuzzles').doc(statsDoc.id).get();
+    if (!historyDoc.exists) continue;
+
+    const puzzle = historyDoc.data();
+    if (validatePuzzle(puzzle).length > 0 || recent.some(shown => isSameMovie(puzzle, shown))) continue;
+    return { kind: 'replay', id: historyDoc.id, puzzle };
+  }
+
+  await poolRef.set({
+    exhaustedOn: todayKey,
+    replayDays,
+    checkedAt: admin.firestore.FieldValue.serverTimestamp()
   });
+  return null;
+};
+
+/**
+ * Content for a track whose approved queue is empty, per the fallback policy
+ * Resolves to { kind, id, puzzle, ref } (ref only for vault puzzles) or null
+ */
+const pickFallbackPuzzle = async (track) => {
+  const settings = await getModerationSettings();
+
+  for (const kind of getFallbackKinds(settings.fallbackPolicy)) {
+    const fallback = kind === 'vault'
+      ? await pickVaultPuzzle(track)
+      : await pickReplayPuzzle(track, settings.fallbackReplayDays);
+    if (fallback) return fallback;
+  }
+  return null;
+};
+
+/**
+ * Rotation logic shared by every trigger, for one track
+ * When the approved queue is empty, fills the day with fallback content
+ * (see functions/shared/fallback.js) - except on a forced rotation, which
+ * only ever brings in queued puzzles.
+ * Returns { status, sourceId } where status is one of ROTATION_STATUS.
+ */
+async function rotatePuzzleLogic(options = {}) {
+  const result = await runRotation(options);
+  if (result.status !== ROTATION_STATUS.QUEUE_EMPTY || options.force) return result;
+
+  const fallback = await pickFallbackPuzzle(options.track || DEFAULT_TRACK);
+  if (!fallback) return result;
+
+  console.log(`Queue empty, falling back to ${fallback.kind} ${fallback.id}`);
+  return runRotation({ ...options, fallback });
+}
 
 /**
- * Helper function containing the rotation logic
+ * One rotation attempt for one track
+ * Runs in a single transaction keyed by the puzzle day: if today's puzzle is already
+ * live it does nothing, so concurrent callers can't archive the same puzzle twice
+ * or consume two queue items. Pass force to replace today's puzzle anyway (admin use).
+ * fallback (from pickFallbackPuzzle) is used only if the approved queue is still empty.
+ * Every rotation is written to the audit log under actor (the system by default).
  */
-async function rotatePuzzleLogic() {
-  const displayDocRef = db.collection('displayPuzzle').doc('current');
-  const displayDoc = await displayDocRef.get();
+async function runRotation({ force = false, actor = SYSTEM_ACTOR, track = DEFAULT_TRACK, fallback = null } = {}) {
+  const trackDocId = getTrackDocId(track);
+  const displayDocRef = db.collection('displayPuzzle').doc(trackDocId);
+  const statsRef = db.collection('puzzleStats').doc(trackDocId);
+  const analyticsRef = db.collection('puzzleAnalytics').doc(trackDocId);
+  const todayKey = getPuzzleDayKey();
   
-  // Move current to history if exists
-  if (displayDoc.exists) {
-    const currentPuzzle = displayDoc.data();
+  const result = await db.runTransaction(async (t) => {
+    const displayDoc = await t.get(displayDocRef);
+    const currentPuzzle = displayDoc.exists ? displayDoc.data() : null;
     
-    // Get stats before moving
-    const statsRef = db.collection('puzzleStats').doc('current');
-    const statsDoc = await statsRef.get();
-    const stats = statsDoc.exists ? statsDoc.data() : {};
-
-    await db.collection('historyPuzzles').add({
-      ...currentPuzzle,
-      finalStats: stats, // Save stats directly in history doc
-      movedToHistoryAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    if (currentPuzzle && !force && getPuzzleDateKey(currentPuzzle) === todayKey) {
+      return { status: ROTATION_STATUS.ALREADY_CURRENT, sourceId: currentPuzzle.sourceId || null };
+    }
+    
+    // Get today's scheduled puzzle, falling back to the oldest approved one.
+    // Untracked puzzles belong to the default track, so filter here rather than in the query.
+    const approvedQuery = db.collection('approvedPuzzles')
+      .orderBy('createdAt', 'asc');
+    
+    const approvedSnapshot = await t.get(approvedQuery);
+    const trackDocs = approvedSnapshot.docs.filter(d => getTrack(d.data()) === track);
+    const nextEntry = pickPuzzleForDate(trackDocs.map(d => ({ id: d.id, scheduledDate: d.data().scheduledDate })), todayKey);
+    const nextPuzzleDoc = nextEntry ? trackDocs.find(d => d.id === nextEntry.id) : null;
     
-    // Archive stats to separate collection as well (optional, but good for backup/indexing)
-    if (statsDoc.exists) {
-      await db.collection('historyStats').doc(displayDoc.id).set({
-        ...stats,
-        puzzleId: displayDoc.id,
-        archivedAt: admin.firestore.FieldValue.serverTimestamp()
+    if (!nextPuzzleDoc && !fallback) {
+      // Leave the current puzzle in place rather than archiving it with nothing to replace it
+      console.log('No approved puzzles available');
+      return { status: ROTATION_STATUS.QUEUE_EMPTY, sourceId: null };
+    }
+    
+    const statsDoc = await t.get(statsRef);
+    const analyticsDoc = await t.get(analyticsRef);
+    const [wrongSnapshot, closeSnapshot] = currentPuzzle && currentPuzzle.sourceId
+      ? await Promise.all(Object.keys(GUESS_KINDS).map(kind => t.get(topGuessesQuery(analyticsRef, currentPuzzle.sourceId, kind))))
+      : [{ docs: [] }, { docs: [] }];
+    const contributorRef = currentPuzzle
+      ? db.collection('contributors').doc(getContributorId(currentPuzzle))
+      : null;
+    const contributorDoc = contributorRef ? await t.get(contributorRef) : null;
+    
+    // Move current to history if exists
+    if (currentPuzzle) {
+      const stats = statsDoc.exists ? statsDoc.data() : {};
+      
+      // Deterministic id so a retried rotation overwrites rather than duplicates
+      const historyId = `${getPuzzleDateKey(currentPuzzle) || 'undated'}_${currentPuzzle.sourceId || displayDoc.updateTime.toMillis()}`;
+      
+      t.set(db.collection('historyPuzzles').doc(historyId), {
+        ...currentPuzzle,
+        alternateNames: currentPuzzle.alternateNames || [],
+        ...getHistorySearchFields(currentPuzzle, getPuzzleDateKey(currentPuzzle)),
+        finalStats: stats, // Save stats directly in history doc
+        movedToHistoryAt: admin.firestore.FieldValue.serverTimestamp()
       });
+      
+      // Late writes from the previous puzzle can land after a rotation; ignore those
+      const analytics = analyticsDoc.exists && analyticsDoc.data().puzzleId === currentPuzzle.sourceId
+        ? summarizeAnalytics({
+          ...analyticsDoc.data(),
+          wrongGuesses: toGuessCounts(wrongSnapshot.docs.map(d => d.data())),
+          nearMisses: toGuessCounts(closeSnapshot.docs.map(d => d.data()))
+        }, (currentPuzzle.clues || []).length)
+        : null;
+      
+      // Archive stats to separate collection as well (optional, but good for backup/indexing)
+      if (statsDoc.exists || analytics) {
+        t.set(db.collection('historyStats').doc(historyId), {
+          ...stats,
+          analytics,
+          movieName: currentPuzzle.movieName,
+          submittedBy: currentPuzzle.submittedBy || null,
+          submitterUid: currentPuzzle.submitterUid || null,
+          puzzleDate: getPuzzleDateKey(currentPuzzle),
+          track,
+          puzzleId: historyId,
+          archivedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
       // Reset current stats
-      await statsRef.delete();
+      if (statsDoc.exists) t.delete(statsRef);
+      if (analyticsDoc.exists) t.delete(analyticsRef);
+      
+      // Credit the submitter on the contributor leaderboard (replays were credited the first time)
+      if (currentPuzzle.fallback !== 'replay') {
+        const contributor = contributorDoc.exists ? contributorDoc.data() : {};
+        t.set(contributorRef, {
+          ...addToContributor(contributor, currentPuzzle, stats),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+    }
+    
+    // Fallback puzzles get a fresh id so earlier solves and saved progress don't carry over
+    const useFallback = !nextPuzzleDoc;
+    const nextPuzzle = useFallback ? fallback.puzzle : nextPuzzleDoc.data();
+    const nextId = useFallback ? `${fallback.kind}_${track}_${todayKey}` : nextPuzzleDoc.id;
+    
+    // Set as display puzzle
+    const { end } = getPuzzleDayBounds(todayKey);
+    
+    // Legacy docs may predate validation; log rather than leave the day without a puzzle
+    const problems = validatePuzzle(nextPuzzle);
+    if (problems.length > 0) {
+      console.warn('Rotating in puzzle with schema problems:', nextId, problems);
+    }
+    
+    t.set(displayDocRef, {
+      ...carryPuzzle(nextPuzzle),
+      displayedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiryDate: admin.firestore.Timestamp.fromDate(end),
+      puzzleDate: todayKey,
+      sourceId: nextId,
+      track,
+      ...(useFallback ? { fallback: fallback.kind, fallbackOf: fallback.id } : {})
+    });
+    
+    t.set(db.collection('auditLog').doc(), buildAuditEntry(
+      'rotate',
+      actor,
+      { collection: 'displayPuzzle', id: nextId, movieName: nextPuzzle.movieName },
+      {
+        puzzleDate: todayKey,
+        track,
+        forced: force,
+        replaced: currentPuzzle ? currentPuzzle.movieName : null,
+        fallback: useFallback ? fallback.kind : null
+      }
+    ));
+    
+    // Take it out of the approved queue (or the vault); replays stay in history
+    if (!useFallback) t.delete(nextPuzzleDoc.ref);
+    else if (fallback.ref) t.delete(fallback.ref);
+    
+    console.log('Rotation completed successfully:', nextPuzzle.movieName);
+    return { status: ROTATION_STATUS.ROTATED, sourceId: nextId };
+  });
+
+  // The archived puzzle's top guesses are in historyStats now
+  if (result.status === ROTATION_STATUS.ROTATED) {
+    try {
+      await clearOldGuesses(track, result.sourceId);
+    } catch (error) {
+      console.error('Error clearing old guess analytics:', error);
     }
   }
-  
-  // Get next approved puzzle
-  const approvedQuery = db.collection('approvedPuzzles')
-    .orderBy('createdAt', 'asc')
-    .limit(1);
-  
-  const approvedSnapshot = await approvedQuery.get();
-  
-  if (approvedSnapshot.empty) {
-    console.log('No approved puzzles available');
-    return null;
+  return result;
+}
+
+/**
+ * Add search fields to history docs archived before search existed (admin only)
+ * Safe to run repeatedly - every doc is simply recomputed
+ */
+export const backfillHistorySearch = functions.https.onCall(async (data, context) => {
+  await requirePermission(context, 'manage');
+
+  const snapshot = await db.collection('historyPuzzles').get();
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const historyDoc of snapshot.docs) {
+    const puzzle = historyDoc.data();
+    const archivedAt = puzzle.movedToHistoryAt ? getPuzzleDayKey(puzzle.movedToHistoryAt.toDate()) : null;
+    batch.update(historyDoc.ref, getHistorySearchFields(puzzle, getPuzzleDateKey(puzzle) || archivedAt));
+
+    // Firestore batches are capped at 500 writes
+    if (++pending === 450) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
   }
-  
-  const nextPuzzleDoc = approvedSnapshot.docs[0];
-  const nextPuzzle = nextPuzzleDoc.data();
-  
-  // Set as display puzzle
-  const { end } = getTodayISTBounds();
-  
-  await displayDocRef.set({
-    movieName: nextPuzzle.movieName,
-    submittedBy: nextPuzzle.submittedBy,
-    clues: nextPuzzle.clues,
-    createdAt: nextPuzzle.createdAt,
-    approvedAt: nextPuzzle.approvedAt,
-    displayedAt: admin.firestore.FieldValue.serverTimestamp(),
-    expiryDate: admin.firestore.Timestamp.fromDate(end),
-    sourceId: nextPuzzleDoc.id
+
+  if (pending > 0) await batch.commit();
+
+  console.log(`Backfilled search fields on ${snapshot.size} history puzzles`);
+  return { success: true, updated: snapshot.size };
+});
+
+/**
+ * Restore alternate names dropped by older approve/rotate code (admin only)
+ * Names are recovered from any other copy of the same movie that still has
+ * them (waiting, rejected, approved, live or archived). Docs with nothing to
+ * recover get an empty list so they match the shared schema.
+ */
+export const backfillAlternateNames = functions.https.onCall(async (data, context) => {
+  await requirePermission(context, 'manage');
+
+  const [waitingSnap, rejectedSnap, approvedSnap, historySnap, displaySnap] = await Promise.all([
+    db.collection('waitingPuzzles').get(),
+    db.collection('rejectedPuzzles').get(),
+    db.collection('approvedPuzzles').get(),
+    db.collection('historyPuzzles').get(),
+    db.collection('displayPuzzle').get()
+  ]);
+
+  const targets = [...approvedSnap.docs, ...historySnap.docs, ...displaySnap.docs];
+
+  // Every alternate name we still know about, keyed by lowercased movie name
+  const knownNames = new Map();
+  [...waitingSnap.docs, ...rejectedSnap.docs, ...targets].forEach((puzzleDoc) => {
+    const { movieName, alternateNames } = puzzleDoc.data();
+    if (!movieName || !Array.isArray(alternateNames) || alternateNames.length === 0) return;
+    const key = movieName.trim().toLowerCase();
+    knownNames.set(key, [...new Set([...(knownNames.get(key) || []), ...alternateNames])]);
   });
-  
-  // Delete from approved
-  await nextPuzzleDoc.ref.delete();
-  
-  console.log('Rotation completed successfully');
-  return null;
-}
+
+  let batch = db.batch();
+  let pending = 0;
+  let updated = 0;
+  let recovered = 0;
+
+  for (const puzzleDoc of targets) {
+    const puzzle = puzzleDoc.data();
+    if (Array.isArray(puzzle.alternateNames) && puzzle.alternateNames.length > 0) continue;
+
+    const alternateNames = knownNames.get((puzzle.movieName || '').trim().toLowerCase()) || [];
+    if (Array.isArray(puzzle.alternateNames) && alternateNames.length === 0) continue;
+
+    const update = { alternateNames };
+    if (puzzleDoc.ref.parent.id === 'historyPuzzles') {
+      Object.assign(update, getHistorySearchFields({ ...puzzle, alternateNames }, getPuzzleDateKey(puzzle)));
+    }
+    batch.update(puzzleDoc.ref, update);
+    updated++;
+    if (alternateNames.length > 0) recovered++;
+
+    if (++pending === 450) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) await batch.commit();
+
+  console.log(`Backfilled alternate names on ${updated} puzzles (${recovered} recovered)`);
+  return { success: true, updated, recovered };
+});
+
+/**
+ * Recompute every contributor's leaderboard entry from the archive (admin only)
+ * Needed once for puzzles archived before the leaderboard existed
+ */
+export const rebuildContributorStats = functions.https.onCall(async (data, context) => {
+  await requirePermission(context, 'manage');
+
+  const snapshot = await db.collection('historyPuzzles').get();
+  const contributors = {};
+
+  snapshot.docs.forEach((historyDoc) => {
+    const puzzle = historyDoc.data();
+    const contributorId = getContributorId(puzzle);
+    contributors[contributorId] = addToContributor(contributors[contributorId] || {}, puzzle, puzzle.finalStats || {});
+  });
+
+  const batch = db.batch();
+  Object.entries(contributors).forEach(([contributorId, contributor]) => {
+    batch.set(db.collection('contributors').doc(contributorId), {
+      ...contributor,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+  await batch.commit();
+
+  return { success: true, contributors: Object.keys(contributors).length };
+});
+
+/**
+ * Everything the signed-in submitter has sent in, with where each puzzle is now
+ * status is one of waiting, approved, live, played or rejected; date is the
+ * scheduled or played puzzle day where one is known.
+ */
+export const getMySubmissions = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'Sign in to see your submissions'
+    );
+  }
+
+  const uid = context.auth.uid;
+  const toMillis = (timestamp) => (timestamp ? timestamp.toMillis() : null);
+  const summarize = (id, puzzle, status, date) => ({
+    id,
+    status,
+    date: date || null,
+    track: getTrack(puzzle),
+    movieName: puzzle.movieName,
+    clueCount: (puzzle.clues || []).length,
+    revision: puzzle.revision || 0,
+    createdAt: toMillis(puzzle.createdAt)
+  });
+
+  // Rejected puzzles carry everything the submitter needs to fix and resubmit them
+  const summarizeRejected = (id, puzzle) => ({
+    ...summarize(id, puzzle, 'rejected'),
+    rejectionReason: puzzle.rejectionReason || null,
+    rejectionNote: puzzle.rejectionNote || '',
+    alternateNames: puzzle.alternateNames || [],
+    clues: puzzle.clues || []
+  });
+
+  const [waitingSnap, approvedSnap, rejectedSnap, historySnap, displaySnap] = await Promise.all([
+    db.collection('waitingPuzzles').where('submitterUid', '==', uid).get(),
+    db.collection('approvedPuzzles').orderBy('createdAt', 'asc').get(),
+    db.collection('rejectedPuzzles').where('submitterUid', '==', uid).get(),
+    db.collection('historyPuzzles').where('submitterUid', '==', uid).get(),
+    db.collection('displayPuzzle').get()
+  ]);
+
+  // Each track's queue runs on its own schedule
+  const todayKey = getPuzzleDayKey();
+  const livePuzzles = displaySnap.docs.map(d => d.data());
+  const schedule = {};
+  TRACK_IDS.forEach((track) => {
+    const currentPuzzle = livePuzzles.find(p => getTrack(p) === track);
+    const startKey = currentPuzzle && getPuzzleDateKey(currentPuzzle) === todayKey
+      ? addDaysToKey(todayKey, 1)
+      : todayKey;
+    const queue = approvedSnap.docs
+      .filter(d => getTrack(d.data()) === track)
+      .map(d => ({ id: d.id, scheduledDate: d.data().scheduledDate }));
+    buildQueueSchedule(queue, startKey).forEach(({ dateKey, puzzle }) => {
+      if (puzzle) schedule[puzzle.id] = dateKey;
+    });
+  });
+
+  const submissions = [
+    ...waitingSnap.docs.map(d => summarize(d.id, d.data(), 'waiting')),
+    ...approvedSnap.docs
+      .filter(d => d.data().submitterUid === uid)
+      .map(d => summarize(d.id, d.data(), 'approved', schedule[d.id])),
+    ...rejectedSnap.docs.map(d => summarizeRejected(d.id, d.data())),
+    ...historySnap.docs.map(d => summarize(d.id, d.data(), 'played', getPuzzleDateKey(d.data())))
+  ];
+
+  livePuzzles
+    .filter(p => p.submitterUid === uid)
+    .forEach(p => submissions.push(summarize(p.sourceId, p, 'live', getPuzzleDateKey(p))));
+
+  submissions.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  return { submissions };
+});
+
+/**
+ * Admin-configurable moderation settings, with defaults for anything unset
+ */
+const getModerationSettings = async () => {
+  const settingsDoc = await db.collection('settings').doc('moderation').get();
+  const settings = settingsDoc.exists ? settingsDoc.data() : {};
+  return {
+    replayCooldownDays: Number.isFinite(settings.replayCooldownDays)
+      ? settings.replayCooldownDays
+      : DEFAULT_REPLAY_COOLDOWN_DAYS,
+    fallbackPolicy: FALLBACK_POLICIES[settings.fallbackPolicy] ? settings.fallbackPolicy : DEFAULT_FALLBACK_POLICY,
+    fallbackReplayDays: Number.isFinite(settings.fallbackReplayDays)
+      ? settings.fallbackReplayDays
+      : DEFAULT_FALLBACK_REPLAY_DAYS
+  };
+};
+
+/**
+ * Check a movie against the queue and recently played puzzles before submitting
+ * Only titles, status and dates are returned, never clues. blocked is true when the
+ * movie is already approved, live, or played within the replay cool-down.
+ * Players only see played puzzles (public in the archive anyway) and a bare yes/no
+ * for the queues, so the check can't be used to look up today's or upcoming answers.
+ */
+export const checkDuplicateMovie = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'Sign in to check for duplicates'
+    );
+  }
+  await enforceRateLimit('duplicateCheck', context);
+  const canSeeQueue = hasPermission(await getAdminRole(context.auth.uid), 'moderate');
+
+  const puzzle = {
+    id: typeof data?.excludeId === 'string' ? data.excludeId : null,
+    ...normalizePuzzleContent(data)
+  };
+  if (!puzzle.movieName) return { matches: [], blocked: false };
+
+  const { replayCooldownDays } = await getModerationSettings();
+  const cutoff = admin.firestore.Timestamp.fromDate(getCooldownCutoff(replayCooldownDays));
+
+  // A movie is a duplicate in any track
+  const [waitingSnap, approvedSnap, historySnap, displaySnap] = await Promise.all([
+    db.collection('waitingPuzzles').get(),
+    db.collection('approvedPuzzles').get(),
+    db.collection('historyPuzzles').where('movedToHistoryAt', '>=', cutoff).get(),
+    canSeeQueue ? db.collection('displayPuzzle').get() : { docs: [] }
+  ]);
+
+  const toCandidate = (id, candidate, status, date) => ({
+    id,
+    status,
+    date: date || null,
+    movieName: candidate.movieName,
+    alternateNames: candidate.alternateNames || []
+  });
+
+  const candidates = [
+    ...waitingSnap.docs.map(d => toCandidate(d.id, d.data(), 'waiting')),
+    ...approvedSnap.docs.map(d => toCandidate(d.id, d.data(), 'approved', d.data().scheduledDate)),
+    ...historySnap.docs.map(d => toCandidate(d.id, d.data(), 'played', getPuzzleDateKey(d.data()))),
+    ...displaySnap.docs.map(d => toCandidate(d.data().sourceId, d.data(), 'live', getPuzzleDateKey(d.data())))
+  ];
+
+  const found = findDuplicates(puzzle, candidates);
+  const matches = canSeeQueue
+    ? found.map(({ status, date, movieName }) => ({ status, date, movieName }))
+    : [
+      ...['waiting', 'approved']
+        .filter(status => found.some(m => m.status === status))
+        .map(status => ({ status, date: null, movieName: null })),
+      ...found.filter(m => m.status === 'played').map(({ status, date, movieName }) => ({ status, date, movieName }))
+    ];
+
+  return {
+    matches,
+    blocked: matches.some(m => m.status !== 'waiting'),
+    cooldownDays: replayCooldownDays
+  };
+});
+
+/**
+ * Reject media clues that point at files the caller didn't upload, or whose
+ * url downloads anything but that file from the project's bucket
+ */
+const assertOwnMedia = (clues, uid) => {
+  const bucket = getMediaBucketName();
+  const foreign = clues.some(clue => isMediaClue(clue) && (
+    !clue.path.startsWith(`${MEDIA_PATH_PREFIX}${uid}/`) || !isMediaUrlFor(clue.url, clue.path, bucket)
+  ));
+  if (foreign) {
+    throw new functions.https.HttpsError('invalid-argument', 'Media clues must be your own uploads');
+  }
+};
+
+/**
+ * Write a blurred copy of every uploaded image clue into clueMediaBlurred/
+ */
+export const blurClueImage = functions.storage.object().onFinalize(async (object) => {
+  if (!object.name.startsWith(MEDIA_PATH_PREFIX) || !(object.contentType || '').startsWith('image/')) return;
+  await writeBlurredCopy(object.name);
+});
+
+/**
+ * Add blurred copies for image clues uploaded before they existed (admin only)
+ * Safe to run repeatedly - images that already have one are skipped
+ */
+export const backfillBlurredImages = functions.https.onCall(async (data, context) => {
+  await requirePermission(context, 'manage');
+
+  const snapshots = await Promise.all(
+    ['waitingPuzzles', 'approvedPuzzles', 'vaultPuzzles', 'displayPuzzle', 'historyPuzzles']
+      .map(name => db.collection(name).get())
+  );
+  const paths = new Set();
+  snapshots.forEach(snapshot => snapshot.docs.forEach((puzzleDoc) => {
+    (puzzleDoc.data().clues || []).map(toClue)
+      .filter(clue => clue.type === 'image' && clue.path.startsWith(MEDIA_PATH_PREFIX))
+      .forEach(clue => paths.add(clue.path));
+  }));
+
+  let created = 0;
+  for (const path of paths) {
+    if (await hasBlurredCopy(path)) continue;
+    await writeBlurredCopy(path);
+    created++;
+  }
+
+  console.log(`Blurred ${created} of ${paths.size} clue images`);
+  return { success: true, images: paths.size, created };
+});
+
+/**
+ * Add a new puzzle to the review queue
+ * Credited to the caller's claimed submitter name, never a name sent by the client
+ */
+export const submitPuzzle = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'Sign in to submit a puzzle'
+    );
+  }
+
+  const content = normalizePuzzleContent(data);
+  const problems = validatePuzzle(content);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError('invalid-argument', problems.join('. '));
+  }
+  assertOwnMedia(content.clues, context.auth.uid);
+  const track = parseTrack(data.track);
+
+  const profileDoc = await db.collection('submitters').doc(context.auth.uid).get();
+  if (!profileDoc.exists) {
+    throw new functions.https.HttpsError('failed-precondition', 'Claim a submitter name first');
+  }
+
+  await enforceRateLimit('submitPuzzle', context);
+
+  const waitingRef = await db.collection('waitingPuzzles').add({
+    ...content,
+    track,
+    submittedBy: profileDoc.data().displayName,
+    submitterUid: context.auth.uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { success: true, id: waitingRef.id };
+});
 
 /**
- * HTTP function for manual rotation (callable from admin panel)
+ * Submitter edits a rejected puzzle and sends it back for review
+ * Moves it from rejectedPuzzles to waitingPuzzles with its revision count bumped
  */
-exports.manualRotatePuzzle = functions.https.onCall(async (data, context) => {
-  // Verify admin authentication
+export const resubmitPuzzle = functions.https.onCall(async (data, context) => {
   if (!context.auth) {
     throw new functions.https.HttpsError(
       'unauthenticated',
-      'Must be authenticated to rotate puzzles'
+      'Sign in to resubmit a puzzle'
     );
   }
+  await enforceRateLimit('submitPuzzle', context);
+
+  const content = normalizePuzzleContent(data);
+  const problems = validatePuzzle(content);
+  if (problems.length > 0) {
+    throw new functions.https.HttpsError('invalid-argument', problems.join('. '));
+  }
+  assertOwnMedia(content.clues, context.auth.uid);
+  // The puzzle stays in its track unless the submitter picks another
+  const track = data.track === undefined ? null : parseTrack(data.track);
+
+  const rejectedRef = db.collection('rejectedPuzzles').doc(String(data.rejectedId));
+  const waitingRef = db.collection('waitingPuzzles').doc();
+
+  await db.runTransaction(async (t) => {
+    const rejectedDoc = await t.get(rejectedRef);
+
+    if (!rejectedDoc.exists) {
+      throw new functions.https.HttpsError('not-found', 'Rejected puzzle not found');
+    }
+
+    const rejected = rejectedDoc.data();
+    if (rejected.submitterUid !== context.auth.uid) {
+      throw new functions.https.HttpsError('permission-denied', 'You can only resubmit your own puzzles');
+    }
+
+    t.set(waitingRef, {
+      ...carryPuzzle(rejected),
+      ...content,
+      track: track || getTrack(rejected),
+      createdAt: rejected.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+      resubmittedAt: admin.firestore.FieldValue.serverTimestamp(),
+      revision: (rejected.revision || 0) + 1,
+      previousRejection: {
+        reason: rejected.rejectionReason || null,
+        note: rejected.rejectionNote || ''
+      }
+    });
+    t.delete(rejectedRef);
+  });
+
+  return { success: true, id: waitingRef.id };
+});
+
+/**
+ * Give an existing account an admin role, or remove it with role null (owners only)
+ * Owners can't change their own role, so there is always someone left to fix mistakes.
+ */
+export const setAdminRole = functions.https.onCall(async (data, context) => {
+  const actor = await requirePermission(context, 'manage');
+
+  const role = data?.role || null;
+  if (role !== null && !ROLES.includes(role)) {
+    throw new functions.https.HttpsError('invalid-argument', 'Unknown role');
+  }
+
+  let user;
+  try {
+    user = await admin.auth().getUserByEmail(String(data?.email || '').trim());
+  } catch (error) {
+    throw new functions.https.HttpsError('not-found', 'No account with that email');
+  }
+  if (user.uid === actor.uid) {
+    throw new functions.https.HttpsError('failed-precondition', 'You can\'t change your own role');
+  }
+
+  const adminRef = db.collection('admins').doc(user.uid);
+  await db.runTransaction(async (t) => {
+    const adminDoc = await t.get(adminRef);
+    const previousRole = adminDoc.exists ? adminDoc.data().role : null;
+
+    if (role) {
+      t.set(adminRef, {
+        role,
+        email: user.email,
+        updatedBy: actor.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } else {
+      t.delete(adminRef);
+    }
+    t.set(db.collection('auditLog').doc(), buildAuditEntry(
+      'role',
+      actor,
+      { collection: 'admins', id: user.uid, movieName: null },
+      { email: user.email, from: previousRole, to: role }
+    ));
+  });
+
+  return { success: true, uid: user.uid };
+});
+
+/**
+ * HTTP function for manual rotation of one track (callable from admin panel)
+ */
+export const manualRotatePuzzle = functions.https.onCall(async (data, context) => {
+  const actor = await requirePermission(context, 'moderate');
+  const track = parseTrack(data?.track);
   
-  console.log('Manual rotation triggered by:', context.auth.uid);
+  console.log(`Manual rotation of ${track} triggered by:`, actor.uid);
   
   try {
-    await rotatePuzzleLogic();
-    return { success: true, message: 'Puzzle rotated successfully' };
+    const result = await rotatePuzzleLogic({ force: true, actor, track });
+    
+    if (result.status === ROTATION_STATUS.QUEUE_EMPTY) {
+      return { success: false, status: result.status, message: 'No approved puzzles to rotate in' };
+    }
+    return { success: true, status: result.status, message: 'Puzzle rotated successfully' };
   } catch (error) {
     console.error('Error in manual rotation:', error);
     throw new functions.https.HttpsError('internal', error.message);
@@ -274,37 +1264,22 @@ exports.manualRotatePuzzle = functions.https.onCall(async (data, context) => {
 });
 
 /**
- * Public callable to ensure puzzle is fresh (lazy rotation)
- * Safe to call by anyone as logic is strictly time-based
- */
-/**
- * Public callable to ensure puzzle is fresh (lazy rotation)
- * Uses onRequest with manual CORS to avoid IAM preflight issues for public access
+ * Public endpoint to ensure puzzle is fresh (lazy rotation)
+ * Uses onRequest with manual CORS to avoid IAM preflight issues for public access.
+ * Safe to call by anyone: rotation is idempotent per puzzle day.
  */
-exports.checkAndRotatePublic = functions.https.onRequest((req, res) => {
+export const checkAndRotatePublic = functions.https.onRequest((req, res) => {
   return cors(req, res, async () => {
     try {
-      const displayDocRef = db.collection('displayPuzzle').doc('current');
-      const displayDoc = await displayDocRef.get();
-      
-      if (!displayDoc.exists) {
-         console.log('No display puzzle found, triggering public rotation...');
-         await rotatePuzzleLogic();
-         return res.json({ rotated: true });
+      const { allowed, retryAfterMs } = await consumeRateLimit('rotation', getIpKey(req));
+      if (!allowed) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({ rotated: false, error: 'Too many requests' });
       }
-      
-      const puzzleData = displayDoc.data();
-      const expiryDate = puzzleData.expiryDate?.toDate();
-      const now = new Date();
-      
-      // Only rotate if actually expired
-      if (!expiryDate || now > expiryDate) {
-        console.log('Display puzzle expired, triggering public rotation...');
-        await rotatePuzzleLogic();
-        return res.json({ rotated: true });
-      }
-      
-      return res.json({ rotated: false });
+
+      const track = isTrack(req.body?.track) ? req.body.track : DEFAULT_TRACK;
+      const result = await rotatePuzzleLogic({ track });
+      return res.json({ rotated: result.status === ROTATION_STATUS.ROTATED, status: result.status });
     } catch (error) {
       console.error('Error in public checkAndRotate:', error);
       // Return 200 with error info to prevent client side generic failures
@@ -314,61 +1289,169 @@ exports.checkAndRotatePublic = functions.https.onRequest((req, res) => {
 });
 
 /**
- * Submit a solution for the current puzzle
- * Tracks unique solvers by IP to prevent duplicate counts
+ * A clue as players see it while they are still guessing
+ * Image clues point at their blurred copy, so the sharp still isn't one URL away;
+ * audio clues get a short-lived signed link. Neither is the uploader's download URL.
  */
-exports.submitSolution = functions.https.onCall(async (data, context) => {
-  const { clueIndex } = data;
-  const ip = context.rawRequest.ip || 'unknown';
-  const ipHash = require('crypto').createHash('md5').update(ip).digest('hex');
-  
-  const statsRef = db.collection('puzzleStats').doc('current');
-  const solverRef = statsRef.collection('solvers').doc(ipHash);
-  
-  try {
-    await db.runTransaction(async (t) => {
-      const solverDoc = await t.get(solverRef);
-      
-      if (solverDoc.exists) {
-        // User already solved this puzzle
-        return;
-      }
-      
-      const statsDoc = await t.get(statsRef);
-      let stats = statsDoc.exists ? statsDoc.data() : { clueCounts: {} };
-      
-      // Initialize clue counts if needed
-      if (!stats.clueCounts) stats.clueCounts = {};
-      if (!stats.clueCounts[clueIndex]) stats.clueCounts[clueIndex] = 0;
-      
-      // Increment count for this clue
-      stats.clueCounts[clueIndex]++;
-      
-      t.set(statsRef, stats, { merge: true });
-      t.set(solverRef, { 
-        solvedAt: admin.firestore.FieldValue.serverTimestamp(),
-        clueIndex: clueIndex
-      });
-    });
-    
-    return { success: true };
-  } catch (error) {
-    console.error('Error submitting solution:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to submit solution');
+const toPlayingClue = async (clue) => {
+  const { type, path } = toClue(clue);
+  if (type === 'image') return { type, url: getMediaUrl(getBlurredMediaPath(path)), path: '' };
+  if (type === 'audio') return { type, url: await getSignedMediaUrl(path), path: '' };
+  return clue;
+};
+
+/**
+ * A clue as players see it once their game is over: images sharp, through a signed link
+ */
+const toFinishedClue = async (clue) => {
+  const { type, path } = toClue(clue);
+  if (!isMediaClue(clue)) return clue;
+  return { type, url: await getSignedMediaUrl(path), path: '' };
+};
+
+/**
+ * Public read of a track's live puzzle (or an archived one, given historyId)
+ * Only exposes the clues revealed so far - the answer never leaves the server
+ */
+export const getPublicPuzzle = functions.https.onCall(async (data, context) => {
+  await enforceRateLimit('publicPuzzle', context);
+  const puzzle = await readPlayablePuzzle(data?.historyId, parseTrack(data?.track));
+
+  if (!puzzle) {
+    return { puzzle: null };
+  }
+
+  const clueIndex = parseClueIndex(data?.clueIndex, puzzle);
+  if (!data?.historyId) await recordRevealedClue(puzzle, clueIndex, getPlayerKey(context));
+
+  return {
+    puzzle: {
+      sourceId: puzzle.sourceId || null,
+      puzzleDate: getPuzzleDateKey(puzzle),
+      track: getTrack(puzzle),
+      fallback: puzzle.fallback || null,
+      submittedBy: puzzle.submittedBy,
+      clues: await Promise.all(puzzle.clues.slice(0, clueIndex + 1).map(toPlayingClue)),
+      totalClues: puzzle.clues.length,
+      expiryDate: puzzle.expiryDate ? puzzle.expiryDate.toMillis() : null
+    }
+  };
+});
+
+/**
+ * Number of docs in a queue that belong to a track
+ * Untracked docs can't be matched in a query, so the default track's share is
+ * whatever the other tracks don't account for.
+ */
+const countForTrack = async (collectionName, track) => {
+  const queue = db.collection(collectionName);
+  if (track !== DEFAULT_TRACK) {
+    const snapshot = await queue.where('track', '==', track).count().get();
+    return snapshot.data().count;
   }
+
+  const otherTracks = TRACK_IDS.filter(t => t !== DEFAULT_TRACK);
+  const [total, ...others] = await Promise.all([
+    queue.count().get(),
+    ...otherTracks.map(t => queue.where('track', '==', t).count().get())
+  ]);
+  return others.reduce((count, snapshot) => count - snapshot.data().count, total.data().count);
+};
+
+/**
+ * How many puzzles in a track are waiting for review or approved, for the submit page's estimate
+ * Counts only - the queues themselves are admin only
+ */
+export const getQueueLength = functions.https.onCall(async (data, context) => {
+  await enforceRateLimit('publicPuzzle', context);
+  const track = parseTrack(data?.track);
+
+  const [waiting, approved] = await Promise.all([
+    countForTrack('waitingPuzzles', track),
+    countForTrack('approvedPuzzles', track)
+  ]);
+  return { waiting, approved };
 });
 
 /**
- * Ping to indicate user presence
- * Stores active user IP hash with timestamp
+ * Check a guess against a track's live puzzle (or an archived one, given historyId)
+ * Returns 'won', 'close' or 'wrong'; the answer, and the clues with their sharp
+ * images, are only included on a win
  */
-exports.pingPresence = functions.https.onCall(async (data, context) => {
-  const ip = context.rawRequest.ip || 'unknown';
-  const ipHash = require('crypto').createHash('md5').update(ip).digest('hex');
+export const verifyGuess = functions.https.onCall(async (data, context) => {
+  const guess = typeof data?.guess === 'string' ? data.guess.trim() : '';
+
+  if (!guess) {
+    throw new functions.https.HttpsError('invalid-argument', 'Guess is required');
+  }
+  await enforceRateLimit('verifyGuess', context);
+
+  const puzzle = await getPlayablePuzzle(data.historyId, parseTrack(data.track));
+  if (!data.historyId) assertSamePuzzle(data.puzzleId, puzzle);
+  const clueIndex = parseClueIndex(data.clueIndex, puzzle);
+
+  // Alternate names are accepted answers too
+  const { result } = matchTitle(guess, [puzzle.movieName, ...(puzzle.alternateNames || [])]);
   
+  // Stats only count live puzzles, and only wins the server has verified, at
+  // the furthest clue the player has been sent whatever clueIndex says
+  if (!data.historyId) {
+    const playerKey = getPlayerKey(context);
+    const seenIndex = Math.max(clueIndex, await getRevealedClue(puzzle, playerKey));
+    const firstSolve = result === 'won' && await recordSolve(puzzle, seenIndex, playerKey);
+    await recordAnalytics(puzzle, seenIndex, result === 'won' && !firstSolve ? 'attempt' : result, guess);
+  }
+
+  if (result === 'won') {
+    return { result, movieName: puzzle.movieName, clues: await Promise.all(puzzle.clues.map(toFinishedClue)) };
+  }
+
+  return { result };
+});
+
+/**
+ * Give up on a track's live puzzle (or an archived one, given historyId) and reveal the answer
+ * Only allowed once the player has reached the last clue - for live puzzles, once
+ * the server has sent it to them. The clues come back too, with their sharp images.
+ * Archived answers are public in the archive already.
+ */
+export const revealAnswer = functions.https.onCall(async (data, context) => {
+  await enforceRateLimit('revealAnswer', context);
+  const puzzle = await getPlayablePuzzle(data?.historyId, parseTrack(data?.track));
+  if (!data?.historyId) assertSamePuzzle(data?.puzzleId, puzzle);
+  const clueIndex = data?.historyId
+    ? parseClueIndex(data?.clueIndex, puzzle)
+    : await getRevealedClue(puzzle, getPlayerKey(context));
+
+  if (clueIndex < puzzle.clues.length - 1) {
+    throw new functions.https.HttpsError('failed-precondition', 'Answer is only revealed on the last clue');
+  }
+
+  if (!data?.historyId) await recordAnalytics(puzzle, clueIndex, 'giveUp');
+  return { movieName: puzzle.movieName, clues: await Promise.all(puzzle.clues.map(toFinishedClue)) };
+});
+
+/**
+ * Presence heartbeat
+ * Stamps the player's uid as active - guests have an anonymous one, so players
+ * behind one IP address are each counted. One doc per player, so several open
+ * tabs share it; beats that arrive within MIN_HEARTBEAT_GAP_MS of the last one
+ * are dropped without a write.
+ */
+export const pingPresence = functions.https.onCall(async (data, context) => {
+  const presenceRef = db.collection('activeUsers').doc(getPlayerKey(context));
+  const now = Date.now();
+
   try {
-    await db.collection('activeUsers').doc(ipHash).set({
-      lastActive: admin.firestore.FieldValue.serverTimestamp()
+    await db.runTransaction(async (t) => {
+      const presenceDoc = await t.get(presenceRef);
+      const lastActive = presenceDoc.exists ? presenceDoc.data().lastActive : null;
+      if (lastActive && now - lastActive.toMillis() < MIN_HEARTBEAT_GAP_MS) return;
+
+      t.set(presenceRef, {
+        lastActive: admin.firestore.Timestamp.fromMillis(now),
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + PRESENCE_TTL_MS)
+      });
     });
     return { success: true };
   } catch (error) {
@@ -378,16 +1461,45 @@ exports.pingPresence = functions.https.onCall(async (data, context) => {
 });
 
 /**
- * Cleanup inactive users (older than 10 minutes)
- * Runs every 15 minutes
+ * Count players with a live heartbeat into presenceStats/online
+ * Runs every minute. A count() aggregate costs one read per thousand players,
+ * and the doc is only rewritten when the number changes, since every write is
+ * a read for each listening client.
+ */
+export const updateOnlineCount = functions.pubsub
+  .schedule('every 1 minutes')
+  .onRun(async (context) => {
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - PRESENCE_TTL_MS);
+    const statsRef = db.collection('presenceStats').doc('online');
+
+    const [countSnap, statsDoc] = await Promise.all([
+      db.collection('activeUsers').where('lastActive', '>', cutoff).count().get(),
+      statsRef.get()
+    ]);
+    const count = countSnap.data().count;
+
+    if (statsDoc.exists && statsDoc.data().count === count) return null;
+
+    await statsRef.set({
+      count,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return null;
+  });
+
+/**
+ * Delete presence docs whose heartbeat has expired
+ * Runs every 15 minutes; the online count already ignores them, this just
+ * keeps the collection small. A Firestore TTL policy on expiresAt does the same.
  */
-exports.cleanupActiveUsers = functions.pubsub
+export const cleanupActiveUsers = functions.pubsub
   .schedule('every 15 minutes')
   .onRun(async (context) => {
-    const cutoff = new Date(Date.now() - 10 * 60 * 1000); // 10 mins ago
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - PRESENCE_TTL_MS);
     
     const snapshot = await db.collection('activeUsers')
       .where('lastActive', '<', cutoff)
+      .limit(500)
       .get();
       
     if (snapshot.empty) return null;
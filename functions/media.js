@@ -0,0 +1,83 @@
+import admin from 'firebase-admin';
+import { getBlurredMediaPath } from './shared/clues.js';
+
+/**
+ * Clue media in Cloud Storage
+ * Players get a blurred copy of each image clue (clueMediaBlurred/, public to
+ * read) until their game is over, and short-lived signed links to the originals
+ * in clueMedia/ for audio and finished games. URLs are built here from a checked
+ * path, never taken from the client or from the uploader's tokened download URL.
+ */
+
+// Blurred copies are small and heavily blurred - the CSS blur on top varies how much
+const BLURRED_IMAGE_WIDTH = 480;
+const BLURRED_IMAGE_SIGMA = 18;
+
+// Signed links outlast the puzzle day they are handed out in, and not by much.
+// They are signed as of the hour, so every call in that hour gets the same link
+// and browsers and the service worker can cache it.
+const SIGNED_URL_TTL_MS = 25 * 60 * 60 * 1000;
+const SIGNED_URL_STEP_MS = 60 * 60 * 1000;
+
+/**
+ * The project's default bucket, which uploadClueMedia writes to
+ */
+export const getMediaBucketName = () => admin.app().options.storageBucket;
+
+/**
+ * Download URL for an object readable under storage.rules (no token needed)
+ * Points at the Storage emulator when the functions run against it.
+ */
+export const getMediaUrl = (path) => {
+  const emulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+  const origin = emulatorHost ? `http://${emulatorHost}` : 'https://firebasestorage.googleapis.com';
+  return `${origin}/v0/b/${getMediaBucketName()}/o/${encodeURIComponent(path)}?alt=media`;
+};
+
+/**
+ * Short-lived link to an original in clueMedia/, which players can't read otherwise
+ * Signing needs the functions' service account to have the Service Account Token
+ * Creator role on itself. The Storage emulator can't check signatures, so there
+ * it is a plain download URL.
+ */
+export const getSignedMediaUrl = async (path) => {
+  if (process.env.FIREBASE_STORAGE_EMULATOR_HOST) return getMediaUrl(path);
+  const signedAt = Math.floor(Date.now() / SIGNED_URL_STEP_MS) * SIGNED_URL_STEP_MS;
+  const [url] = await admin.storage().bucket().file(path).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    accessibleAt: signedAt,
+    expires: signedAt + SIGNED_URL_TTL_MS
+  });
+  return url;
+};
+
+/**
+ * Write the blurred copy of an uploaded image
+ * sharp is loaded here so no other function pays for it at cold start.
+ */
+export const writeBlurredCopy = async (path) => {
+  const { default: sharp } = await import('sharp');
+  const bucket = admin.storage().bucket();
+  const [original] = await bucket.file(path).download();
+
+  const blurred = await sharp(original)
+    .rotate()
+    .resize({ width: BLURRED_IMAGE_WIDTH, withoutEnlargement: true })
+    .blur(BLURRED_IMAGE_SIGMA)
+    .jpeg()
+    .toBuffer();
+
+  await bucket.file(getBlurredMediaPath(path)).save(blurred, {
+    resumable: false,
+    metadata: { contentType: 'image/jpeg', cacheControl: 'public, max-age=86400' }
+  });
+};
+
+/**
+ * Whether an image already has its blurred copy
+ */
+export const hasBlurredCopy = async (path) => {
+  const [exists] = await admin.storage().bucket().file(getBlurredMediaPath(path)).exists();
+  return exists;
+};
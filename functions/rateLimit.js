@@ -0,0 +1,55 @@
+import admin from 'firebase-admin';
+
+/**
+ * Per-client rate limits for public endpoints
+ * Fixed windows counted in Firestore (rateLimits/{endpoint}_{client}), so limits
+ * hold across function instances and work unchanged in the emulator with no
+ * external service. Docs carry expiresAt for a Firestore TTL policy to clean up.
+ * The client is the player's uid (guests have an anonymous account), except for
+ * rotation, whose public endpoint only has the IP address to go by.
+ */
+export const RATE_LIMITS = {
+  rotation: { limit: 6, windowMs: 60 * 1000 },
+  publicPuzzle: { limit: 60, windowMs: 60 * 1000 },
+  verifyGuess: { limit: 30, windowMs: 60 * 1000 },
+  revealAnswer: { limit: 10, windowMs: 60 * 1000 },
+  duplicateCheck: { limit: 30, windowMs: 60 * 1000 },
+  submitPuzzle: { limit: 5, windowMs: 60 * 60 * 1000 }
+};
+
+/**
+ * Count one request for a client against an endpoint's limit
+ * Resolves to { allowed, retryAfterMs }. Fails open if Firestore errors, so an
+ * outage in the limiter never takes the game down with it.
+ */
+export const consumeRateLimit = async (endpoint, clientKey, now = Date.now()) => {
+  const { limit, windowMs } = RATE_LIMITS[endpoint];
+  const db = admin.firestore();
+  const ref = db.collection('rateLimits').doc(`${endpoint}_${clientKey}`);
+
+  try {
+    return await db.runTransaction(async (t) => {
+      const limitDoc = await t.get(ref);
+      const current = limitDoc.exists ? limitDoc.data() : null;
+
+      if (!current || now - current.windowStart >= windowMs) {
+        t.set(ref, {
+          windowStart: now,
+          count: 1,
+          expiresAt: admin.firestore.Timestamp.fromMillis(now + windowMs)
+        });
+        return { allowed: true, retryAfterMs: 0 };
+      }
+
+      if (current.count >= limit) {
+        return { allowed: false, retryAfterMs: current.windowStart + windowMs - now };
+      }
+
+      t.update(ref, { count: current.count + 1 });
+      return { allowed: true, retryAfterMs: 0 };
+    });
+  } catch (error) {
+    console.error('Rate limiter error:', error);
+    return { allowed: true, retryAfterMs: 0 };
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Admin roles and audit log actions
+ * Roles live in admins/{uid} ({ role, email }). firestore.rules mirrors
+ * ROLE_PERMISSIONS in its canView/canModerate/canManage helpers.
+ */
+
+export const ROLES = ['owner', 'moderator', 'viewer'];
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  moderator: 'Moderator',
+  viewer: 'Viewer'
+};
+
+// view: read the dashboard, moderate: change puzzles and settings,
+// manage: maintenance jobs and other admins' roles
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'moderate', 'manage'],
+  moderator: ['view', 'moderate'],
+  viewer: ['view']
+};
+
+export const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// 'rotate' and 'role' entries are only written by Cloud Functions
+export const AUDIT_ACTIONS = {
+  approve: 'Approved',
+  reject: 'Rejected',
+  delete: 'Deleted',
+  edit: 'Edited',
+  schedule: 'Rescheduled',
+  settings: 'Changed settings',
+  import: 'Imported',
+  export: 'Exported',
+  rotate: 'Rotated',
+  role: 'Changed role'
+};
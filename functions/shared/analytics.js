@@ -0,0 +1,63 @@
+/**
+ * Clue-level analytics
+ * The live puzzle's counters (puzzleAnalytics/current) are raw maps keyed by clue
+ * index. Each distinct wrong or close guess is counted in its own doc under
+ * puzzleAnalytics/{track}/guesses, so a popular puzzle can't outgrow the analytics
+ * doc. This turns them into the compact shape archived in historyStats and
+ * charted on the admin dashboard.
+ */
+
+export const TOP_GUESSES = 20;
+
+export const GUESS_COLLECTION = 'guesses';
+
+// Guess doc kind → the summarizeAnalytics field its counts go in
+export const GUESS_KINDS = { wrong: 'wrongGuesses', close: 'nearMisses' };
+
+/**
+ * Guess docs ({ guess, count }) as the map summarizeAnalytics reads
+ */
+export const toGuessCounts = (guessDocs) => Object.fromEntries(guessDocs.map(d => [d.guess, d.count]));
+
+const sum = (values) => values.reduce((total, n) => total + n, 0);
+
+/**
+ * Compact summary of a puzzle's analytics
+ * Per-clue counts become arrays indexed by clue; guesses keep the most frequent.
+ */
+export const summarizeAnalytics = (analytics, clueCount) => {
+  const perClue = (counts = {}) => Array.from({ length: clueCount }, (_, i) => counts[i] || 0);
+  const topGuesses = (counts = {}) => Object.entries(counts)
+    .map(([guess, count]) => ({ guess, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_GUESSES);
+
+  const attempts = perClue(analytics.attempts);
+  const wins = perClue(analytics.wins);
+  const giveUps = perClue(analytics.giveUps);
+
+  return {
+    attempts,
+    wins,
+    giveUps,
+    totalAttempts: sum(attempts),
+    totalWins: sum(wins),
+    totalGiveUps: sum(giveUps),
+    topWrongGuesses: topGuesses(analytics.wrongGuesses),
+    topNearMisses: topGuesses(analytics.nearMisses)
+  };
+};
+
+/**
+ * Difficulty of a summarised puzzle
+ * solveRate is the share of finished games that were won; avgSolveClue is the
+ * average clue number (1-based) winners needed. Either is null without data.
+ */
+export const getDifficulty = (summary) => {
+  const finished = summary.totalWins + summary.totalGiveUps;
+  const clueSum = sum(summary.wins.map((count, i) => count * (i + 1)));
+  return {
+    solveRate: finished > 0 ? summary.totalWins / finished : null,
+    avgSolveClue: summary.totalWins > 0 ? clueSum / summary.totalWins : null
+  };
+};
@@ -0,0 +1,146 @@
+/**
+ * Typed clues
+ * A clue is either a plain string - a text clue, like every puzzle written
+ * before clue types existed - or an object:
+ *   { type: 'emoji' | 'quote', text }
+ *   { type: 'image' | 'audio', url, path }   (path is the file in Storage, url its download URL)
+ * Text clues are always stored as plain strings so older puzzles need no migration.
+ */
+
+export const MAX_CLUE_LENGTH = 300;
+
+export const CLUE_TYPES = {
+  text: { label: 'Text', icon: '📝' },
+  emoji: { label: 'Emoji', icon: '😀' },
+  quote: { label: 'Quote', icon: '💬' },
+  image: { label: 'Image', icon: '🖼️' },
+  audio: { label: 'Audio', icon: '🔊' }
+};
+
+export const MEDIA_CLUE_TYPES = ['image', 'audio'];
+
+// Uploads go to clueMedia/{uid}/ - storage.rules repeats these limits
+export const MEDIA_LIMITS = {
+  image: { maxBytes: 2 * 1024 * 1024, contentTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'] },
+  audio: { maxBytes: 1024 * 1024, contentTypes: ['audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/x-m4a'], maxSeconds: 15 }
+};
+
+export const MEDIA_PATH_PREFIX = 'clueMedia/';
+
+// The blurred copy of each image that players see until the game is over
+export const BLURRED_MEDIA_PREFIX = 'clueMediaBlurred/';
+
+// clueMedia/{uid}/{time}_{random}.{ext} as uploadClueMedia names them - storage.rules matches it too
+const MEDIA_PATH_PATTERN = /^clueMedia\/[A-Za-z0-9]+\/[A-Za-z0-9_]+\.[a-z0-9]+$/;
+
+// Download URLs come from Storage, or from the local emulator in development
+const STORAGE_HOST = 'firebasestorage.googleapis.com';
+const EMULATOR_HOSTS = ['localhost', '127.0.0.1'];
+const DOWNLOAD_PATH = /^\/v0\/b\/([^/]+)\/o\/([^/]+)$/;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Any stored clue as an object with every field present, for rendering and editing
+ */
+export const toClue = (clue) => {
+  if (typeof clue === 'string' || !clue) {
+    return { type: 'text', text: clue || '', url: '', path: '' };
+  }
+  return {
+    type: CLUE_TYPES[clue.type] ? clue.type : 'text',
+    text: clue.text || '',
+    url: clue.url || '',
+    path: clue.path || ''
+  };
+};
+
+export const isMediaClue = (clue) => MEDIA_CLUE_TYPES.includes(toClue(clue).type);
+
+/**
+ * Whether url downloads the Storage object at path, and from bucket when one is given
+ * Anything else - another host, another file - could be a tracking pixel or
+ * media nobody reviewed.
+ */
+export const isMediaUrlFor = (url, path, bucket = null) => {
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    const hosted = (protocol === 'https:' && hostname === STORAGE_HOST)
+      || (protocol === 'http:' && EMULATOR_HOSTS.includes(hostname));
+    const match = pathname.match(DOWNLOAD_PATH);
+    return hosted && !!match
+      && (!bucket || match[1] === bucket)
+      && decodeURIComponent(match[2]) === path;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Where the blurred copy of an uploaded image is kept
+ */
+export const getBlurredMediaPath = (path) => `${BLURRED_MEDIA_PREFIX}${path.slice(MEDIA_PATH_PREFIX.length)}`;
+
+/**
+ * Trim a clue into the shape it is stored in
+ */
+export const normalizeClue = (clue) => {
+  const { type, text, url, path } = toClue(clue);
+  if (type === 'text') return cleanText(text);
+  if (MEDIA_CLUE_TYPES.includes(type)) return { type, url: cleanText(url), path: cleanText(path) };
+  return { type, text: cleanText(text) };
+};
+
+/**
+ * The written part of a clue, or '' for media clues
+ */
+export const getClueText = (clue) => {
+  const { type, text } = toClue(clue);
+  return MEDIA_CLUE_TYPES.includes(type) ? '' : text;
+};
+
+/**
+ * One-line description of a clue for lists and search results
+ */
+export const describeClue = (clue) => {
+  const { type } = toClue(clue);
+  if (MEDIA_CLUE_TYPES.includes(type)) return `${CLUE_TYPES[type].icon} ${CLUE_TYPES[type].label} clue`;
+  return getClueText(clue);
+};
+
+/**
+ * Problem with a single clue as a user-facing message, or null if it is valid
+ */
+export const validateClue = (clue) => {
+  const { type, text, url, path } = toClue(normalizeClue(clue));
+
+  if (MEDIA_CLUE_TYPES.includes(type)) {
+    if (!url || !path) return `${CLUE_TYPES[type].label} clues need an uploaded file`;
+    if (!MEDIA_PATH_PATTERN.test(path) || !isMediaUrlFor(url, path)) {
+      return `${CLUE_TYPES[type].label} clues must be uploaded through the form`;
+    }
+    return null;
+  }
+
+  if (!text) return 'Clues cannot be empty';
+  if (text.length > MAX_CLUE_LENGTH) return `Clues must be at most ${MAX_CLUE_LENGTH} characters`;
+  if (type === 'emoji' && /\p{L}/u.test(text)) return 'Emoji clues can only contain emoji';
+  return null;
+};
+
+// How blurred an image clue is when it first appears, as a fraction of full blur,
+// and how much blur is left on the last clue
+const LAST_CLUE_BLUR = 0.15;
+
+/**
+ * Blur for the image at imageIndex while the player is on currentIndex
+ * Starts fully blurred and clears a step with every clue that follows; the
+ * image is only shown sharp once the game is over.
+ */
+export const getImageBlur = (imageIndex, currentIndex, totalClues, finished = false) => {
+  if (finished) return 0;
+  const steps = totalClues - 1 - imageIndex;
+  if (steps <= 0) return LAST_CLUE_BLUR;
+  const progress = Math.min(1, Math.max(0, (currentIndex - imageIndex) / steps));
+  return 1 - progress * (1 - LAST_CLUE_BLUR);
+};
@@ -0,0 +1,36 @@
+/**
+ * Content checks for user-submitted text
+ * Shared by the submit form and the submitPuzzle function, the only way
+ * players can add to the queue.
+ */
+
+const URL_PATTERN = /(https?:\/\/|www\.)|\b[a-z0-9-]+\.(com|net|org|in|io|co|xyz|ly|me)\b/i;
+
+// Whole words only, so titles like "Scunthorpe" or "Assassin" are fine. Words
+// that are also real titles or names ("Moby Dick") are deliberately left out.
+const BLOCKED_WORDS = [
+  'fuck', 'fucking', 'motherfucker', 'shit', 'bitch', 'cunt', 'asshole', 'slut', 'whore', 'nigger', 'faggot', 'retard',
+  'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'gandu', 'randi', 'bsdk'
+];
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\b`, 'i');
+
+// Undo simple disguises like "sh1t" or "f.u.c.k" before matching
+const deobfuscate = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[0134@$5]/g, c => ({ 0: 'o', 1: 'i', 3: 'e', 4: 'a', '@': 'a', $: 's', 5: 's' })[c])
+  .replace(/(\w)[.\-_*](?=\w\b|\w[.\-_*])/g, '$1');
+
+export const containsUrl = (text) => URL_PATTERN.test(String(text || ''));
+
+export const containsProfanity = (text) => {
+  return BLOCKED_PATTERN.test(String(text || '')) || BLOCKED_PATTERN.test(deobfuscate(text));
+};
+
+/**
+ * Problem with a piece of submitted text, or null if it is acceptable
+ */
+export const checkText = (text) => {
+  if (containsUrl(text)) return 'Links are not allowed in puzzles';
+  if (containsProfanity(text)) return 'Please keep puzzles free of profanity';
+  return null;
+};
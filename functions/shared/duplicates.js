@@ -0,0 +1,45 @@
+/**
+ * Duplicate movie detection
+ * Shared by the submit form (via the checkDuplicateMovie function) and the
+ * admin queue so both agree on what counts as "the same movie".
+ */
+import { WIN_THRESHOLD, getTitleSimilarity, normalizeTitle } from './titleMatching.js';
+
+// How long after a movie has played before it may be submitted again
+export const DEFAULT_REPLAY_COOLDOWN_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Every title a puzzle answers to
+ */
+export const getPuzzleTitles = (puzzle) => {
+  return [puzzle.movieName, ...(puzzle.alternateNames || [])].filter(Boolean);
+};
+
+/**
+ * Whether two puzzles are about the same movie
+ * Any title of one must match any title of the other as a winning guess would.
+ */
+export const isSameMovie = (a, b) => {
+  const titlesA = getPuzzleTitles(a);
+  const titlesB = getPuzzleTitles(b);
+  const keysB = new Set(titlesB.map(normalizeTitle));
+
+  return titlesA.some(title => keysB.has(normalizeTitle(title)) ||
+    titlesB.some(other => getTitleSimilarity(title, other) >= WIN_THRESHOLD));
+};
+
+/**
+ * Candidates that look like the same movie as puzzle, skipping puzzle itself
+ */
+export const findDuplicates = (puzzle, candidates) => {
+  return candidates.filter(candidate => candidate.id !== puzzle.id && isSameMovie(puzzle, candidate));
+};
+
+/**
+ * Start of the cool-down window: puzzles archived after this block a replay
+ */
+export const getCooldownCutoff = (cooldownDays, now = new Date()) => {
+  return new Date(now.getTime() - cooldownDays * DAY_MS);
+};
@@ -0,0 +1,65 @@
+/**
+ * Fallback content
+ * When a track's approved queue runs dry, rotation fills the day instead of
+ * leaving the expired puzzle up. Depending on the policy in settings/moderation
+ * it plays the oldest puzzle from the vault (vaultPuzzles - evergreen puzzles
+ * kept in reserve, consumed as they are used) or replays a random well-rated
+ * archived puzzle whose movie hasn't been shown for fallbackReplayDays.
+ * The vault policy falls back to a replay once the vault is empty.
+ */
+import { getDifficulty } from './analytics.js';
+
+export const FALLBACK_POLICIES = {
+  replay: 'Replay a well-rated archived puzzle',
+  vault: 'Play from the vault, then replay',
+  none: 'Keep the last puzzle up'
+};
+
+export const DEFAULT_FALLBACK_POLICY = 'replay';
+export const DEFAULT_FALLBACK_REPLAY_DAYS = 180;
+
+// Admins are warned when a track has fewer days of puzzles than this
+export const DEFAULT_QUEUE_WARNING_DAYS = 3;
+
+// A replay needs enough plays to judge, and a solve rate that was neither a wall nor a walkover
+export const MIN_REPLAY_PLAYS = 10;
+export const MIN_REPLAY_SOLVE_RATE = 0.25;
+export const MAX_REPLAY_SOLVE_RATE = 0.95;
+
+/**
+ * Which kinds of fallback to try, in order, for a policy
+ */
+export const getFallbackKinds = (policy) => {
+  if (policy === 'vault') return ['vault', 'replay'];
+  if (policy === 'replay') return ['replay'];
+  return [];
+};
+
+/**
+ * Whether an archived puzzle played well enough to replay, from its historyStats doc
+ * Puzzles archived before analytics only counted winners, so those just need enough solves.
+ */
+export const isWellRated = (stats) => {
+  if (stats.analytics) {
+    const { solveRate } = getDifficulty(stats.analytics);
+    const finished = stats.analytics.totalWins + stats.analytics.totalGiveUps;
+    return finished >= MIN_REPLAY_PLAYS &&
+      solveRate >= MIN_REPLAY_SOLVE_RATE &&
+      solveRate <= MAX_REPLAY_SOLVE_RATE;
+  }
+
+  const solves = Object.values(stats.clueCounts || {}).reduce((total, n) => total + n, 0);
+  return solves >= MIN_REPLAY_PLAYS;
+};
+
+/**
+ * Days of puzzles a track has left, counting today
+ * days is the track's queue schedule (buildQueueSchedule) starting at startKey;
+ * a schedule starting after todayKey means today is already covered by the
+ * live puzzle. Counting stops at the first day the queue can't fill.
+ */
+export const getDaysOfContentLeft = (days, startKey, todayKey) => {
+  const firstGap = days.findIndex(day => !day.puzzle);
+  const scheduled = firstGap === -1 ? days.length : firstGap;
+  return scheduled + (startKey > todayKey ? 1 : 0);
+};
@@ -0,0 +1,14 @@
+/**
+ * Presence
+ * Each open, visible tab sends a heartbeat every HEARTBEAT_INTERVAL_MS. The
+ * pingPresence function stamps activeUsers/{player}.lastActive, and a player
+ * counts as online until PRESENCE_TTL_MS after their last heartbeat - long
+ * enough to ride out one missed beat. A scheduled function counts the live
+ * heartbeats once a minute into presenceStats/online, the one doc clients read.
+ */
+
+export const HEARTBEAT_INTERVAL_MS = 2 * 60 * 1000;
+export const PRESENCE_TTL_MS = 5 * 60 * 1000;
+
+// Heartbeats closer together than this (another tab, a quick refresh) skip the write
+export const MIN_HEARTBEAT_GAP_MS = HEARTBEAT_INTERVAL_MS / 2;
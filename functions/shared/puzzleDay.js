@@ -0,0 +1,94 @@
+/**
+ * The puzzle day
+ * One new puzzle goes live every day at ROLLOVER_HOUR in PUZZLE_TIME_ZONE.
+ * Date keys ('YYYY-MM-DD'), expiry times, the rotation schedules and every
+ * queue estimate come from here, in the web app and in Cloud Functions alike.
+ * PUZZLE_TIME_ZONE can be any IANA zone; daylight saving is handled.
+ * Changing either value needs both the app and the functions redeployed.
+ */
+
+export const PUZZLE_TIME_ZONE = 'Asia/Kolkata';
+export const ROLLOVER_HOUR = 0; // 0-23, local time in PUZZLE_TIME_ZONE
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Shift a 'YYYY-MM-DD' date key by a number of days
+ */
+export const addDaysToKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Puzzle day helpers for a time zone and rollover hour
+ * The app uses the pair configured above; tests build others to cover
+ * daylight saving in other zones.
+ */
+export const createPuzzleDay = (timeZone, rolloverHour) => {
+  const partsFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  // How far the zone's wall clock is ahead of UTC at an instant, in ms
+  const getZoneOffset = (date) => {
+    const parts = {};
+    partsFormatter.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+  };
+
+  // The instant a wall-clock time happens. Offsets are taken half a day either
+  // side, so a daylight saving change near the time is always seen. A time that
+  // shows twice (clocks going back) resolves to the first; a time the clocks
+  // skip (going forward) to the instant they jump, the first one the new day owns.
+  const zonedTimeToDate = (dateKey, hour) => {
+    const wallClock = new Date(`${dateKey}T00:00:00Z`).getTime() + hour * HOUR_MS;
+    const approx = wallClock - getZoneOffset(new Date(wallClock));
+    const offsets = [approx - 12 * HOUR_MS, approx + 12 * HOUR_MS].map(t => getZoneOffset(new Date(t)));
+
+    const exact = offsets
+      .map(offset => wallClock - offset)
+      .filter(instant => instant + getZoneOffset(new Date(instant)) === wallClock);
+    return new Date(exact.length > 0 ? Math.min(...exact) : wallClock - Math.min(...offsets));
+  };
+
+  /**
+   * The puzzle day an instant belongs to, as a 'YYYY-MM-DD' key
+   * Before the rollover hour it is still the previous day's puzzle.
+   * Matches scheduledDate on approved puzzles and puzzleDate on live ones.
+   */
+  const getPuzzleDayKey = (date = new Date()) => {
+    const wallClock = date.getTime() + getZoneOffset(date);
+    return new Date(wallClock - rolloverHour * HOUR_MS).toISOString().slice(0, 10);
+  };
+
+  /**
+   * When a puzzle day starts and ends: { start, end } where end is the last
+   * millisecond before the next day's rollover
+   */
+  const getPuzzleDayBounds = (dateKey = getPuzzleDayKey()) => {
+    const start = zonedTimeToDate(dateKey, rolloverHour);
+    const next = zonedTimeToDate(addDaysToKey(dateKey, 1), rolloverHour);
+    return { start, end: new Date(next.getTime() - 1) };
+  };
+
+  return { getPuzzleDayKey, getPuzzleDayBounds };
+};
+
+export const { getPuzzleDayKey, getPuzzleDayBounds } = createPuzzleDay(PUZZLE_TIME_ZONE, ROLLOVER_HOUR);
+
+/**
+ * Cron schedule for the daily rotation, to pair with .timeZone(PUZZLE_TIME_ZONE)
+ */
+export const ROLLOVER_CRON = `0 ${ROLLOVER_HOUR} * * *`;
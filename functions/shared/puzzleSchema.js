@@ -0,0 +1,109 @@
+/**
+ * Shared puzzle schema
+ * Imported by both the web app and Cloud Functions so every stage of the
+ * pipeline (submit → waiting → approved/rejected → live → history) agrees on
+ * what a puzzle looks like and never drops fields when moving it along.
+ */
+import { checkText } from './contentFilter.js';
+import { MAX_CLUE_LENGTH, getClueText, normalizeClue, validateClue } from './clues.js';
+
+export { MAX_CLUE_LENGTH };
+
+export const MIN_CLUES = 3;
+export const MAX_CLUES = 10;
+export const MAX_MOVIE_NAME_LENGTH = 100;
+export const MAX_ALTERNATE_NAMES = 10;
+
+// Fields that describe where a puzzle sits in the pipeline rather than the
+// puzzle itself. They are dropped when a puzzle moves between queues and the
+// destination stage sets its own.
+const STAGE_FIELDS = [
+  'id',
+  'rejectedAt',
+  'rejectionReason',
+  'rejectionNote',
+  'rejectedFromDisplay',
+  'scheduledDate',
+  'displayedAt',
+  'expiryDate',
+  'puzzleDate',
+  'sourceId',
+  'movedToHistoryAt',
+  'finalStats',
+  'searchKeywords',
+  'puzzleMonth',
+  'fallback',
+  'fallbackOf',
+  'auditId'
+];
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Split a comma separated list of alternate titles as typed into a form
+ */
+export const parseAlternateNames = (text) => {
+  return String(text || '').split(',').map(n => n.trim()).filter(Boolean);
+};
+
+/**
+ * Trim the editable content of a puzzle into its canonical shape
+ */
+export const normalizePuzzleContent = ({ movieName, alternateNames, clues } = {}) => ({
+  movieName: cleanText(movieName),
+  alternateNames: Array.isArray(alternateNames)
+    ? alternateNames.map(cleanText).filter(Boolean)
+    : [],
+  clues: Array.isArray(clues) ? clues.map(normalizeClue) : []
+});
+
+/**
+ * Problems with a puzzle's content, as user-facing messages
+ * Returns an empty array when the puzzle is valid.
+ */
+export const validatePuzzle = (puzzle) => {
+  const { movieName, alternateNames, clues } = normalizePuzzleContent(puzzle);
+  const errors = [];
+
+  if (!movieName) {
+    errors.push('Movie name is required');
+  } else if (movieName.length > MAX_MOVIE_NAME_LENGTH) {
+    errors.push(`Movie name must be at most ${MAX_MOVIE_NAME_LENGTH} characters`);
+  }
+
+  if (alternateNames.length > MAX_ALTERNATE_NAMES) {
+    errors.push(`At most ${MAX_ALTERNATE_NAMES} alternate names are allowed`);
+  }
+  if (alternateNames.some(n => n.length > MAX_MOVIE_NAME_LENGTH)) {
+    errors.push(`Alternate names must be at most ${MAX_MOVIE_NAME_LENGTH} characters`);
+  }
+
+  if (clues.length < MIN_CLUES || clues.length > MAX_CLUES) {
+    errors.push(`A puzzle needs ${MIN_CLUES} to ${MAX_CLUES} clues`);
+  }
+  // One message per kind of problem, however many clues have it
+  new Set(clues.map(validateClue).filter(Boolean)).forEach(problem => errors.push(problem));
+
+  const contentProblem = [movieName, ...alternateNames, ...clues.map(getClueText)].map(checkText).find(Boolean);
+  if (contentProblem) {
+    errors.push(contentProblem);
+  }
+
+  return errors;
+};
+
+/**
+ * Copy a puzzle for its next stage, keeping every field except stage metadata
+ * alternateNames is always present so downstream readers can rely on it.
+ */
+export const carryPuzzle = (puzzle) => {
+  const carried = {};
+  Object.keys(puzzle).forEach((key) => {
+    if (!STAGE_FIELDS.includes(key) && puzzle[key] !== undefined) {
+      carried[key] = puzzle[key];
+    }
+  });
+  carried.alternateNames = puzzle.alternateNames || [];
+  carried.submitterUid = puzzle.submitterUid || null;
+  return carried;
+};
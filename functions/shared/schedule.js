@@ -0,0 +1,44 @@
+/**
+ * The approved queue's schedule
+ * Which approved puzzle goes live on which puzzle day. Rotation, the admin
+ * calendar and submitters' expected dates all read the queue through here.
+ */
+
+import { addDaysToKey } from './puzzleDay.js';
+
+/**
+ * Pick the puzzle that should go live on a given date
+ * A puzzle pinned to that date wins, otherwise the oldest unpinned one (FIFO).
+ * Puzzles pinned to a date that has already passed fall back into the FIFO queue.
+ * Expects puzzles ({ id, scheduledDate, ... }) sorted by createdAt ascending.
+ */
+export const pickPuzzleForDate = (puzzles, dateKey) => {
+  return puzzles.find(p => p.scheduledDate === dateKey) ||
+    puzzles.find(p => !p.scheduledDate || p.scheduledDate < dateKey) ||
+    null;
+};
+
+/**
+ * Simulate rotation day by day to find when each approved puzzle goes live
+ * Returns one entry per day from startKey until the queue is used up:
+ * { dateKey, puzzle, pinned } where pinned lists every puzzle scheduled for that day
+ */
+export const buildQueueSchedule = (puzzles, startKey) => {
+  const remaining = [...puzzles];
+  const days = [];
+  let dateKey = startKey;
+
+  while (remaining.length > 0) {
+    const puzzle = pickPuzzleForDate(remaining, dateKey);
+    const pinned = remaining.filter(p => p.scheduledDate === dateKey);
+
+    days.push({ dateKey, puzzle, pinned });
+
+    if (puzzle) {
+      remaining.splice(remaining.indexOf(puzzle), 1);
+    }
+    dateKey = addDaysToKey(dateKey, 1);
+  }
+
+  return days;
+};
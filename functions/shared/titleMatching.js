@@ -0,0 +1,236 @@
+/**
+ * Movie title normalisation and answer matching
+ * Shared by the web app and Cloud Functions so a guess is judged the same way
+ * everywhere. Titles are reduced to comparable tokens, then compared both as a
+ * whole and word by word (ignoring order), with and without a phonetic pass
+ * that folds common spelling variants of Indian titles together.
+ * The tricky titles this is tuned for are in functions/test/titleMatching.test.js.
+ */
+
+export const WIN_THRESHOLD = 0.9;
+export const CLOSE_THRESHOLD = 0.5;
+
+// Stylised spellings that no general rule can undo
+const STYLISED_WORDS = {
+  se7en: 'seven',
+  m3gan: 'megan',
+  '2gether': 'together'
+};
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen',
+  'eighteen', 'nineteen', 'twenty'
+];
+
+// Only i, v and x so ordinary words like "mix" or "did" are never read as numerals
+const ROMAN_NUMERAL = /^(x{0,3})(ix|iv|v?i{0,3})$/;
+const ROMAN_VALUES = { i: 1, v: 5, x: 10 };
+
+// Subtitles made only of these words and numbers ("Part 2", "Vol. 1", "The Conclusion")
+// don't say which movie is meant, so they never win on their own
+const GENERIC_SUBTITLE_WORDS = [
+  'part', 'pt', 'vol', 'volume', 'chapter', 'episode', 'book',
+  'beginning', 'conclusion', 'final', 'end'
+];
+
+// A distinctive subtitle still needs this many letters or digits to win alone
+const MIN_SUBTITLE_LENGTH = 4;
+
+const LEADING_ARTICLE = /^(the|a|an)\s+/;
+const TRAILING_ARTICLE = /,\s*(the|a|an)$/; // "Dark Knight, The"
+const YEAR_SUFFIX = /\s*[([]\s*(18|19|20)\d{2}\s*[)\]]\s*$/;
+
+// Spelling variants seen in romanised Hindi, Tamil, Telugu and Malayalam titles
+const TRANSLITERATION_RULES = [
+  [/ph/g, 'f'],
+  [/([bcdgjkpstz])h/g, '$1'], // aspirated consonants: bh, dh, kh, th, sh...
+  [/w/g, 'v'],
+  [/q/g, 'k'],
+  [/aa/g, 'a'],
+  [/(ee|ii)/g, 'i'],
+  [/(oo|uu)/g, 'u'],
+  [/ie$/, 'i'],
+  [/y$/, 'i'],
+  [/([^aeiou])\1+/g, '$1'] // doubled consonants: Anniyan / Aniyan
+];
+
+const romanToNumber = (token) => {
+  if (!token || !ROMAN_NUMERAL.test(token)) return null;
+  let total = 0;
+  for (let i = 0; i < token.length; i++) {
+    const value = ROMAN_VALUES[token[i]];
+    const next = ROMAN_VALUES[token[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+};
+
+const normalizeToken = (token) => {
+  const word = STYLISED_WORDS[token] || token;
+  const numberWord = NUMBER_WORDS.indexOf(word);
+  if (numberWord !== -1) return String(numberWord);
+  const roman = romanToNumber(word);
+  return roman !== null ? String(roman) : word;
+};
+
+const toPhonetic = (token) => {
+  if (/^\d+$/.test(token)) return token;
+  return TRANSLITERATION_RULES.reduce((word, [pattern, replacement]) => word.replace(pattern, replacement), token);
+};
+
+/**
+ * Reduce a title or guess to comparable lowercase tokens
+ * Strips diacritics, a "(1999)" year suffix, leading articles and punctuation,
+ * and writes numbers (words or Roman numerals) as digits.
+ */
+export const tokenizeTitle = (title) => {
+  let text = String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Latin diacritics only, so Indic vowel signs survive
+    .toLowerCase()
+    .trim();
+
+  text = text.replace(YEAR_SUFFIX, '').replace(TRAILING_ARTICLE, '');
+  text = text
+    .replace(/&/g, ' and ')
+    .replace(/['’‘`.]/g, '') // "Schindler's", "L.A."
+    .replace(/(\p{L})-(?=\p{L})/gu, '$1') // "Spider-Man" reads as one word
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ')
+    .trim()
+    .replace(LEADING_ARTICLE, '');
+
+  return text.split(/\s+/).filter(Boolean).map(normalizeToken);
+};
+
+/**
+ * Canonical form of a title, handy for duplicate checks and equality tests
+ */
+export const normalizeTitle = (title) => tokenizeTitle(title).join(' ');
+
+// Numbers alone aren't generic - "1917" and "Se7en" are whole titles
+const isGeneric = (tokens) => tokens.some(token => GENERIC_SUBTITLE_WORDS.includes(token))
+  && tokens.every(token => /^\d+$/.test(token) || GENERIC_SUBTITLE_WORDS.includes(token));
+
+/**
+ * The ways an answer may be written, as tokens: the full title, and for
+ * "Main: Subtitle - Subtitle" titles each segment on its own. The main title
+ * alone is only ever close, since it usually names a whole franchise, and so is
+ * a subtitle that is short or generic ("Episode IV" in "Star Wars: Episode IV - A New Hope").
+ */
+const getTitleVariants = (title) => {
+  const variants = [{ tokens: tokenizeTitle(title), canWin: true, generic: false }];
+  const parts = String(title || '').split(/\s*[:–—]\s*|\s+-\s+/).filter(p => p.trim());
+  if (parts.length > 1) {
+    parts.forEach((part, index) => {
+      const tokens = tokenizeTitle(part);
+      const generic = isGeneric(tokens);
+      const distinctive = index > 0 && !generic && tokens.join('').length >= MIN_SUBTITLE_LENGTH;
+      variants.push({ tokens, canWin: distinctive, generic });
+    });
+  }
+  return variants.filter(variant => variant.tokens.length > 0);
+};
+
+const levenshteinDistance = (a, b) => {
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1]
+        : Math.min(previous[j - 1], previous[j], current[j - 1]) + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Levenshtein ratio of two strings, 1 for identical
+ */
+export const getStringSimilarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return (longest - levenshteinDistance(a, b)) / longest;
+};
+
+// Order-insensitive: pair each word with its best unused match, Dice-style
+const getTokenSimilarity = (guessTokens, titleTokens) => {
+  if (guessTokens.length === 0 || titleTokens.length === 0) return 0;
+
+  const unused = [...titleTokens];
+  let matched = 0;
+  guessTokens.forEach((token) => {
+    let bestIndex = -1;
+    let best = 0;
+    unused.forEach((candidate, index) => {
+      const similarity = getStringSimilarity(token, candidate);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex !== -1) {
+      matched += best;
+      unused.splice(bestIndex, 1);
+    }
+  });
+
+  return (2 * matched) / (guessTokens.length + titleTokens.length);
+};
+
+const compareTokens = (guessTokens, titleTokens) => Math.max(
+  getStringSimilarity(guessTokens.join(''), titleTokens.join('')),
+  getTokenSimilarity(guessTokens, titleTokens)
+);
+
+/**
+ * How close a guess is to a title, from 0 to 1
+ * A generic guess ("part 2") is at best close, and only when the title has
+ * exactly that segment; it is never scored against the rest of the title.
+ */
+export const getTitleSimilarity = (guess, title) => {
+  const guessTokens = tokenizeTitle(guess);
+  if (guessTokens.length === 0) return 0;
+  const guessPhonetic = guessTokens.map(toPhonetic);
+  const closeOnly = WIN_THRESHOLD - 0.01;
+
+  const variants = getTitleVariants(title);
+  if (variants.length === 0) return 0;
+  if (isGeneric(guessTokens) && !isGeneric(variants[0].tokens)) {
+    const segmentMatch = variants
+      .some(variant => variant.generic && variant.tokens.join(' ') === guessTokens.join(' '));
+    return segmentMatch ? closeOnly : 0;
+  }
+
+  let best = 0;
+  variants.forEach(({ tokens: titleTokens, canWin, generic }) => {
+    if (generic) return;
+
+    const similarity = Math.max(
+      compareTokens(guessTokens, titleTokens),
+      compareTokens(guessPhonetic, titleTokens.map(toPhonetic))
+    );
+    best = Math.max(best, canWin ? similarity : Math.min(similarity, closeOnly));
+  });
+
+  return best;
+};
+
+/**
+ * Judge a guess against a movie's accepted titles
+ * Returns { result: 'won' | 'close' | 'wrong', similarity }
+ */
+export const matchTitle = (guess, titles) => {
+  const similarity = titles.reduce(
+    (best, title) => Math.max(best, getTitleSimilarity(guess, title)),
+    0
+  );
+
+  if (similarity >= WIN_THRESHOLD) return { result: 'won', similarity };
+  return { result: similarity >= CLOSE_THRESHOLD ? 'close' : 'wrong', similarity };
+};
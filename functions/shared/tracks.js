@@ -0,0 +1,36 @@
+/**
+ * Puzzle tracks
+ * Each track is an independent daily puzzle with its own approved queue, live
+ * puzzle, stats, history and rotation. Puzzles carry their track in a `track`
+ * field; puzzles from before tracks existed have none and belong to DEFAULT_TRACK.
+ */
+
+export const DEFAULT_TRACK = 'daily';
+
+export const TRACKS = {
+  daily: { label: 'Daily Mix', icon: '🎬' },
+  bollywood: { label: 'Bollywood', icon: '💃' },
+  hollywood: { label: 'Hollywood', icon: '🌟' },
+  tamil: { label: 'Tamil', icon: '🎭' },
+  classics: { label: 'Classics', icon: '📽️' }
+};
+
+export const TRACK_IDS = Object.keys(TRACKS);
+
+export const isTrack = (value) => typeof value === 'string' && Object.prototype.hasOwnProperty.call(TRACKS, value);
+
+/**
+ * The track a puzzle belongs to
+ */
+export const getTrack = (puzzle) => (puzzle && isTrack(puzzle.track) ? puzzle.track : DEFAULT_TRACK);
+
+/**
+ * Doc id of a track's single docs (displayPuzzle, puzzleStatus, puzzleStats, puzzleAnalytics)
+ * The default track keeps 'current', so docs written before tracks existed still work.
+ */
+export const getTrackDocId = (track) => (track === DEFAULT_TRACK ? 'current' : track);
+
+/**
+ * Track whose single docs live under a doc id - the inverse of getTrackDocId
+ */
+export const getTrackFromDocId = (docId) => (docId === 'current' ? DEFAULT_TRACK : docId);
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isMediaUrlFor, validateClue, getBlurredMediaPath } from '../shared/clues.js';
+
+const path = 'clueMedia/abc123/1760000000000_x1y2z3.jpg';
+const url = 'https://firebasestorage.googleapis.com/v0/b/cinemist.appspot.com/o/clueMedia%2Fabc123%2F1760000000000_x1y2z3.jpg?alt=media&token=0f1e';
+
+test('a download URL matches the file it was made for', () => {
+  assert.equal(isMediaUrlFor(url, path), true);
+  assert.equal(isMediaUrlFor(url, path, 'cinemist.appspot.com'), true);
+  assert.equal(isMediaUrlFor(`http://127.0.0.1:9199/v0/b/demo/o/${encodeURIComponent(path)}?alt=media`, path), true);
+});
+
+test('other hosts, buckets and files are refused', () => {
+  assert.equal(isMediaUrlFor('https://tracker.example.com/pixel.gif', path), false);
+  assert.equal(isMediaUrlFor(url.replace('firebasestorage.googleapis.com', 'evil.example.com'), path), false);
+  assert.equal(isMediaUrlFor(url, path, 'someone-else.appspot.com'), false);
+  assert.equal(isMediaUrlFor(url, 'clueMedia/abc123/other.jpg'), false);
+  assert.equal(isMediaUrlFor(url.replace('https:', 'http:'), path), false);
+  assert.equal(isMediaUrlFor('not a url', path), false);
+});
+
+test('media clues need a url for their own path', () => {
+  assert.equal(validateClue({ type: 'image', url, path }), null);
+  assert.notEqual(validateClue({ type: 'image', url: 'https://example.com/still.jpg', path }), null);
+  assert.notEqual(validateClue({ type: 'audio', url, path: 'elsewhere/abc123/clip.mp3' }), null);
+});
+
+test('blurred copies mirror the upload path', () => {
+  assert.equal(getBlurredMediaPath(path), 'clueMediaBlurred/abc123/1760000000000_x1y2z3.jpg');
+});
@@ -0,0 +1,136 @@
+import { before, after, beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { createRulesEnv, seed } from './rulesEnv.js';
+
+// Admin changes to the puzzle collections and settings only land in the same batch
+// as a fresh audit entry that matches them (commitAdminAction in src/firebase/audit.js)
+let testEnv;
+let moderator;
+let owner;
+let viewer;
+
+before(async () => {
+  testEnv = await createRulesEnv();
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, {
+    'admins/mod': { role: 'moderator' },
+    'admins/boss': { role: 'owner' },
+    'admins/watcher': { role: 'viewer' },
+    'waitingPuzzles/w1': { movieName: 'Drishyam', clues: ['a', 'b', 'c'] },
+    'waitingPuzzles/w2': { movieName: 'Lagaan', clues: ['a', 'b', 'c'] },
+    'approvedPuzzles/a1': { movieName: 'Sholay', clues: ['a', 'b', 'c'] },
+    'auditLog/old': { action: 'delete', actorUid: 'mod', target: { collection: 'waitingPuzzles', id: 'w2' } },
+    'auditCursors/mod': { entryId: 'old' }
+  });
+  moderator = testEnv.authenticatedContext('mod').firestore();
+  owner = testEnv.authenticatedContext('boss').firestore();
+  viewer = testEnv.authenticatedContext('watcher').firestore();
+});
+
+// The same batch commitAdminAction builds
+const audited = (db, uid, action, target, write = () => {}) => {
+  const batch = writeBatch(db);
+  const entryRef = doc(collection(db, 'auditLog'));
+  write(batch, entryRef.id);
+  batch.set(entryRef, {
+    action,
+    actorUid: uid,
+    actorEmail: null,
+    actorRole: null,
+    target: { movieName: null, ...target },
+    details: {},
+    at: serverTimestamp()
+  });
+  batch.set(doc(db, 'auditCursors', uid), { entryId: entryRef.id });
+  return batch.commit();
+};
+
+const approve = (db, uid, id, target = { collection: 'waitingPuzzles', id }) => audited(db, uid, 'approve', target, (batch, auditId) => {
+  batch.set(doc(collection(db, 'approvedPuzzles')), { movieName: 'Drishyam', auditId });
+  batch.delete(doc(db, 'waitingPuzzles', id));
+});
+
+describe('audited actions', () => {
+  test('an approve lands together with its entry', async () => {
+    await assertSucceeds(approve(moderator, 'mod', 'w1'));
+  });
+
+  test('edits, reschedules and settings carry their entry id', async () => {
+    await assertSucceeds(audited(moderator, 'mod', 'edit', { collection: 'approvedPuzzles', id: 'a1' }, (batch, auditId) => {
+      batch.update(doc(moderator, 'approvedPuzzles/a1'), { movieName: 'Sholay (1975)', auditId });
+    }));
+    await assertSucceeds(audited(moderator, 'mod', 'settings', { collection: 'settings', id: 'moderation' }, (batch, auditId) => {
+      batch.set(doc(moderator, 'settings/moderation'), { replayCooldownDays: 30, auditId }, { merge: true });
+    }));
+  });
+
+  test('viewers cannot act, even with an entry', async () => {
+    await assertFails(approve(viewer, 'watcher', 'w1'));
+  });
+
+  test('imports and exports are for owners', async () => {
+    const target = { collection: 'waitingPuzzles', id: null };
+    await assertFails(audited(moderator, 'mod', 'export', target));
+    await assertSucceeds(audited(owner, 'boss', 'export', target));
+    await assertSucceeds(audited(owner, 'boss', 'import', target, (batch, auditId) => {
+      batch.set(doc(collection(owner, 'waitingPuzzles')), { movieName: 'Kahaani', auditId });
+    }));
+  });
+});
+
+describe('unaudited writes', () => {
+  test('direct writes without an entry are denied', async () => {
+    await assertFails(addDoc(collection(moderator, 'approvedPuzzles'), { movieName: 'Drishyam' }));
+    await assertFails(deleteDoc(doc(moderator, 'waitingPuzzles/w1')));
+    await assertFails(updateDoc(doc(moderator, 'approvedPuzzles/a1'), { scheduledDate: '2026-11-01' }));
+  });
+
+  test("an earlier entry can't vouch for a new write", async () => {
+    await assertFails(deleteDoc(doc(moderator, 'waitingPuzzles/w2')));
+    await assertFails(updateDoc(doc(moderator, 'approvedPuzzles/a1'), { movieName: 'Sholay', auditId: 'old' }));
+  });
+
+  test('a batch may only delete or edit its entry\'s target', async () => {
+    await assertFails(audited(moderator, 'mod', 'delete', { collection: 'waitingPuzzles', id: 'w1' }, (batch) => {
+      batch.delete(doc(moderator, 'waitingPuzzles/w1'));
+      batch.delete(doc(moderator, 'waitingPuzzles/w2'));
+    }));
+    await assertFails(audited(moderator, 'mod', 'edit', { collection: 'approvedPuzzles', id: 'a1' }, (batch, auditId) => {
+      batch.update(doc(moderator, 'waitingPuzzles/w1'), { movieName: 'Drishyam 2', auditId });
+    }));
+  });
+});
+
+describe('made-up entries', () => {
+  test('an approve entry needs its target moved in the same batch', async () => {
+    await assertFails(audited(moderator, 'mod', 'approve', { collection: 'waitingPuzzles', id: 'w1' }));
+    await assertFails(audited(moderator, 'mod', 'reject', { collection: 'waitingPuzzles', id: 'missing' }));
+  });
+
+  test('an edit entry needs its target stamped with it', async () => {
+    await assertFails(audited(moderator, 'mod', 'edit', { collection: 'approvedPuzzles', id: 'a1' }));
+  });
+
+  test('entries go under the signed-in admin only', async () => {
+    await assertFails(approve(moderator, 'boss', 'w1'));
+  });
+
+  test('entries cannot be changed or removed', async () => {
+    await assertFails(updateDoc(doc(moderator, 'auditLog/old'), { action: 'approve' }));
+    await assertFails(deleteDoc(doc(moderator, 'auditLog/old')));
+  });
+});
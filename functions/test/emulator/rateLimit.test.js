@@ -0,0 +1,60 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { RATE_LIMITS, consumeRateLimit } from '../../rateLimit.js';
+
+// The limiter's counters live in Firestore, so this talks to the emulator through the Admin SDK
+before(() => {
+  if (!admin.apps.length) admin.initializeApp({ projectId: 'demo-cinemist' });
+});
+
+// Each test gets its own client so counters never carry over
+const newClient = () => `test_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+const consumeTimes = async (endpoint, client, times, now) => {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await consumeRateLimit(endpoint, client, now));
+  }
+  return results;
+};
+
+test('allows requests up to the limit, then refuses with a retry time', async () => {
+  const { limit, windowMs } = RATE_LIMITS.revealAnswer;
+  const client = newClient();
+  const now = Date.now();
+
+  const results = await consumeTimes('revealAnswer', client, limit, now);
+  assert.ok(results.every(r => r.allowed));
+
+  const refused = await consumeRateLimit('revealAnswer', client, now + 1000);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfterMs, windowMs - 1000);
+});
+
+test('a new window starts once the old one has passed', async () => {
+  const { limit, windowMs } = RATE_LIMITS.revealAnswer;
+  const client = newClient();
+  const now = Date.now();
+
+  await consumeTimes('revealAnswer', client, limit + 1, now);
+  assert.equal((await consumeRateLimit('revealAnswer', client, now + windowMs - 1)).allowed, false);
+
+  const reset = await consumeTimes('revealAnswer', client, limit, now + windowMs);
+  assert.ok(reset.every(r => r.allowed));
+  assert.equal((await consumeRateLimit('revealAnswer', client, now + windowMs)).allowed, false);
+
+  const counter = await admin.firestore().collection('rateLimits').doc(`revealAnswer_${client}`).get();
+  assert.equal(counter.data().windowStart, now + windowMs);
+  assert.equal(counter.data().count, limit);
+});
+
+test('clients and endpoints are counted separately', async () => {
+  const { limit } = RATE_LIMITS.revealAnswer;
+  const client = newClient();
+  const now = Date.now();
+
+  await consumeTimes('revealAnswer', client, limit + 1, now);
+  assert.equal((await consumeRateLimit('revealAnswer', newClient(), now)).allowed, true);
+  assert.equal((await consumeRateLimit('verifyGuess', client, now)).allowed, true);
+});
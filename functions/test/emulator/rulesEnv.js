@@ -0,0 +1,21 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+/**
+ * Rules test environment against the Firestore emulator, with the app's firestore.rules
+ * The emulator's address comes from FIRESTORE_EMULATOR_HOST, which emulators:exec sets.
+ */
+export const createRulesEnv = () => initializeTestEnvironment({
+  projectId: 'demo-cinemist',
+  firestore: {
+    rules: readFileSync(new URL('../../../firestore.rules', import.meta.url), 'utf8')
+  }
+});
+
+/**
+ * Write docs with rules off, e.g. to set up what a test reads: { 'path/id': data }
+ */
+export const seed = (testEnv, docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(docs).map(([path, data]) => db.doc(path).set(data)));
+});
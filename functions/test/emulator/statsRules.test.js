@@ -0,0 +1,81 @@
+import { before, after, beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, increment } from 'firebase/firestore';
+import { createRulesEnv, seed } from './rulesEnv.js';
+
+// Stats and presence are written only by Cloud Functions (verifyGuess, pingPresence,
+// updateOnlineCount); clients may read the public counters and nothing else
+let testEnv;
+let guest;
+let player;
+
+before(async () => {
+  testEnv = await createRulesEnv();
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, {
+    'puzzleStats/current': { puzzleId: 'p1', clueCounts: { 0: 3 } },
+    'presenceStats/online': { count: 12 },
+    'activeUsers/player': { lastSeen: 1 },
+    'puzzleSolvers/p1_player': { clueIndex: 0 },
+    'puzzleProgress/p1_player': { puzzleId: 'p1', revealed: 2 },
+    'displayPuzzle/current': { movieName: 'Drishyam', sourceId: 'p1' }
+  });
+  guest = testEnv.unauthenticatedContext().firestore();
+  player = testEnv.authenticatedContext('player', { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+});
+
+describe('puzzleStats', () => {
+  test('anyone can read the live counts', async () => {
+    await assertSucceeds(getDoc(doc(guest, 'puzzleStats/current')));
+    await assertSucceeds(getDoc(doc(player, 'puzzleStats/current')));
+  });
+
+  test('clients cannot write them', async () => {
+    for (const db of [guest, player]) {
+      await assertFails(setDoc(doc(db, 'puzzleStats/current'), { clueCounts: { 0: 1000 } }));
+      await assertFails(updateDoc(doc(db, 'puzzleStats/current'), { 'clueCounts.0': increment(1) }));
+      await assertFails(setDoc(doc(db, 'puzzleStats/bollywood'), { clueCounts: {} }));
+      await assertFails(deleteDoc(doc(db, 'puzzleStats/current')));
+    }
+  });
+
+  test('solver markers are private', async () => {
+    await assertFails(getDoc(doc(player, 'puzzleSolvers/p1_player')));
+    await assertFails(setDoc(doc(player, 'puzzleSolvers/p1_other'), { clueIndex: 0 }));
+  });
+
+  test('players cannot read or move their revealed clue', async () => {
+    await assertFails(getDoc(doc(player, 'puzzleProgress/p1_player')));
+    await assertFails(setDoc(doc(player, 'puzzleProgress/p1_player'), { puzzleId: 'p1', revealed: 4 }));
+  });
+
+  test('the live puzzle and its answer are not readable by players', async () => {
+    await assertFails(getDoc(doc(guest, 'displayPuzzle/current')));
+    await assertFails(getDoc(doc(player, 'displayPuzzle/current')));
+  });
+});
+
+describe('presence', () => {
+  test('anyone can read the online count', async () => {
+    await assertSucceeds(getDoc(doc(guest, 'presenceStats/online')));
+    await assertSucceeds(getDoc(doc(player, 'presenceStats/online')));
+  });
+
+  test('clients cannot write the online count', async () => {
+    await assertFails(setDoc(doc(player, 'presenceStats/online'), { count: 9999 }));
+  });
+
+  test('heartbeats are neither readable nor writable, even your own', async () => {
+    for (const db of [guest, player]) {
+      await assertFails(getDoc(doc(db, 'activeUsers/player')));
+      await assertFails(setDoc(doc(db, 'activeUsers/player'), { lastSeen: Date.now() }));
+      await assertFails(setDoc(doc(db, 'activeUsers/someone-else'), { lastSeen: Date.now() }));
+      await assertFails(deleteDoc(doc(db, 'activeUsers/player')));
+    }
+  });
+});
@@ -0,0 +1,43 @@
+import { before, after, beforeEach, test } from 'node:test';
+import { assertFails } from '@firebase/rules-unit-testing';
+import { addDoc, collection, serverTimestamp } from 'firebase/firestore';
+import { createRulesEnv, seed } from './rulesEnv.js';
+
+// Players only submit through submitPuzzle, so its rate limit and content filter
+// can't be skipped; the checks themselves are in test/puzzleSchema.test.js
+let testEnv;
+let submitter;
+
+before(async () => {
+  testEnv = await createRulesEnv();
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, {
+    'submitters/alice': { displayName: 'Alice', displayNameLower: 'alice' },
+    'submitterNames/alice': { uid: 'alice' }
+  });
+  submitter = testEnv.authenticatedContext('alice').firestore();
+});
+
+const validPuzzle = (overrides = {}) => ({
+  movieName: 'The Dark Knight',
+  alternateNames: ['Dark Knight'],
+  clues: ['A city in fear', 'A clown with a plan', 'Why so serious?'],
+  submittedBy: 'Alice',
+  submitterUid: 'alice',
+  track: 'daily',
+  createdAt: serverTimestamp(),
+  ...overrides
+});
+
+test('a well-formed submission written directly is rejected', async () => {
+  await assertFails(addDoc(collection(submitter, 'waitingPuzzles'), validPuzzle()));
+});
+
+test('signed-out clients cannot write the queue either', async () => {
+  await assertFails(addDoc(collection(testEnv.unauthenticatedContext().firestore(), 'waitingPuzzles'), validPuzzle()));
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addDaysToKey, createPuzzleDay } from '../shared/puzzleDay.js';
+
+// Every day's bounds must agree with getPuzzleDayKey: start is the first instant
+// of the day, the millisecond before it still belongs to the day before, and end is the last
+const assertBoundsAgree = (puzzleDay, dateKey) => {
+  const { start, end } = puzzleDay.getPuzzleDayBounds(dateKey);
+  assert.equal(puzzleDay.getPuzzleDayKey(start), dateKey);
+  assert.equal(puzzleDay.getPuzzleDayKey(new Date(start.getTime() - 1)), addDaysToKey(dateKey, -1));
+  assert.equal(puzzleDay.getPuzzleDayKey(end), dateKey);
+  assert.equal(puzzleDay.getPuzzleDayKey(new Date(end.getTime() + 1)), addDaysToKey(dateKey, 1));
+};
+
+test('a rollover hour the clocks skip starts the day when they jump', () => {
+  const newYork = createPuzzleDay('America/New_York', 2);
+  // 2am doesn't happen on 8 March 2026 - clocks go from 1:59:59 EST to 3:00 EDT
+  assert.equal(newYork.getPuzzleDayBounds('2026-03-08').start.toISOString(), '2026-03-08T07:00:00.000Z');
+  assertBoundsAgree(newYork, '2026-03-08');
+
+  // Lord Howe Island moves its clocks forward by half an hour
+  assertBoundsAgree(createPuzzleDay('Australia/Lord_Howe', 2), '2026-10-04');
+});
+
+test('a rollover hour the clocks repeat starts the day the first time round', () => {
+  const berlin = createPuzzleDay('Europe/Berlin', 2);
+  // 2am shows twice on 25 October 2026 - first in CEST (00:00Z), then in CET
+  assert.equal(berlin.getPuzzleDayBounds('2026-10-25').start.toISOString(), '2026-10-25T00:00:00.000Z');
+  assertBoundsAgree(berlin, '2026-10-25');
+});
+
+test('days around daylight saving changes line up end to start', () => {
+  [['America/New_York', 0], ['America/New_York', 2], ['Europe/Berlin', 2], ['Asia/Kolkata', 0]].forEach(([zone, hour]) => {
+    const puzzleDay = createPuzzleDay(zone, hour);
+    ['2026-03-07', '2026-03-08', '2026-03-28', '2026-03-29', '2026-10-25', '2026-11-01'].forEach((dateKey) => {
+      assertBoundsAgree(puzzleDay, dateKey);
+      const { end } = puzzleDay.getPuzzleDayBounds(dateKey);
+      assert.equal(puzzleDay.getPuzzleDayBounds(addDaysToKey(dateKey, 1)).start.getTime(), end.getTime() + 1);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePuzzle } from '../shared/puzzleSchema.js';
+
+// What submitPuzzle accepts - players have no other way into the queue
+const validPuzzle = (overrides = {}) => ({
+  movieName: 'The Dark Knight',
+  alternateNames: ['Dark Knight'],
+  clues: ['A city in fear', 'A clown with a plan', 'Why so serious?'],
+  ...overrides
+});
+
+test('a well-formed puzzle has no problems', () => {
+  assert.deepEqual(validatePuzzle(validPuzzle()), []);
+  assert.deepEqual(validatePuzzle(validPuzzle({ clues: [{ type: 'emoji', text: '🦇🃏' }, 'Gotham', 'Why so serious?'] })), []);
+});
+
+test('fields that are too long are rejected', () => {
+  assert.equal(validatePuzzle(validPuzzle({ movieName: 'x'.repeat(101) })).length, 1);
+  assert.equal(validatePuzzle(validPuzzle({ clues: ['x'.repeat(301), 'Gotham', 'Why so serious?'] })).length, 1);
+  assert.equal(validatePuzzle(validPuzzle({ alternateNames: Array.from({ length: 11 }, (_, i) => `Name ${i}`) })).length, 1);
+});
+
+test('too many or too few clues are rejected', () => {
+  assert.equal(validatePuzzle(validPuzzle({ clues: Array.from({ length: 11 }, (_, i) => `Clue ${i}`) })).length, 1);
+  assert.equal(validatePuzzle(validPuzzle({ clues: ['Gotham', 'Why so serious?'] })).length, 1);
+});
+
+test('links and profanity are rejected, disguised or not', () => {
+  assert.notDeepEqual(validatePuzzle(validPuzzle({ clues: ['See https://example.com', 'Gotham', 'Why so serious?'] })), []);
+  assert.notDeepEqual(validatePuzzle(validPuzzle({ clues: ['Visit cheap-tickets.xyz', 'Gotham', 'Why so serious?'] })), []);
+  assert.notDeepEqual(validatePuzzle(validPuzzle({ clues: ['What the sh1t', 'Gotham', 'Why so serious?'] })), []);
+  assert.notDeepEqual(validatePuzzle(validPuzzle({ movieName: 'F.u.c.k' })), []);
+  assert.deepEqual(validatePuzzle(validPuzzle({ movieName: 'Assassin' })), []);
+});
+
+test('media clues must download their own upload', () => {
+  const path = 'clueMedia/alice/1760000000000_x1y2z3.jpg';
+  const url = `https://firebasestorage.googleapis.com/v0/b/demo-cinemist.appspot.com/o/${encodeURIComponent(path)}?alt=media&token=0f1e`;
+  const withImage = (clue) => validPuzzle({ clues: [clue, 'Gotham', 'Why so serious?'] });
+
+  assert.deepEqual(validatePuzzle(withImage({ type: 'image', url, path })), []);
+  assert.notDeepEqual(validatePuzzle(withImage({ type: 'image', url: 'https://tracker.example.com/pixel.gif', path })), []);
+  assert.notDeepEqual(validatePuzzle(withImage({ type: 'image', url, path: 'clueMedia/alice/other.jpg' })), []);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchTitle, normalizeTitle } from '../shared/titleMatching.js';
+
+// Real titles that are easy to get wrong: [guess, answer, expected result, why]
+const CASES = [
+  ['dark knight', 'The Dark Knight', 'won', 'leading article'],
+  ['seven', 'Se7en', 'won', 'stylised spelling'],
+  ['1917', '1917', 'won', 'number as the whole title'],
+  ['spiderman ii', 'Spider-Man 2', 'won', 'hyphen, roman numeral'],
+  ['endgame', 'Avengers: Endgame', 'won', 'subtitle alone'],
+  ['matrix', 'The Matrix (1999)', 'won', 'year suffix'],
+  ['amelie', 'Amélie', 'won', 'diacritics'],
+  ['bahubaali the begining', 'Baahubali: The Beginning', 'won', 'transliteration'],
+  ['kabhi kushi kabhi gam', 'Kabhi Khushi Kabhie Gham', 'won', 'transliteration'],
+  ['knight dark', 'The Dark Knight', 'won', 'word order'],
+  ['a new hope', 'Star Wars: Episode IV - A New Hope', 'won', 'last of several subtitles'],
+  ['kill bill vol 2', 'Kill Bill: Vol. 2', 'won', 'full title with a generic subtitle'],
+  ['kgf chapter 2', 'K.G.F: Chapter 2', 'won', 'initialism'],
+  ['dark knight', 'The Dark Knight Rises', 'close', 'missing a word'],
+  ['avengers', 'Avengers: Endgame', 'close', 'franchise alone is ambiguous'],
+  ['blade runner', 'Blade Runner 2049', 'close', '2049 is not a year suffix'],
+  ['episode 4', 'Star Wars: Episode IV - A New Hope', 'close', 'middle subtitle, but generic'],
+  ['part 2', 'Harry Potter and the Deathly Hallows: Part 2', 'close', 'generic subtitle alone'],
+  ['vol 2', 'Kill Bill: Vol. 2', 'close', 'generic subtitle alone'],
+  ['chapter 2', 'K.G.F: Chapter 2', 'close', 'generic subtitle alone'],
+  ['the conclusion', 'Baahubali 2: The Conclusion', 'close', 'generic subtitle alone'],
+  ['chapter 1', 'K.G.F: Chapter 2', 'wrong', 'generic subtitle of another movie'],
+  ['part 1', 'Harry Potter and the Deathly Hallows: Part 2', 'wrong', 'generic subtitle of another movie'],
+  ['inception', 'Interstellar', 'wrong', 'different movie']
+];
+
+for (const [guess, answer, expected, why] of CASES) {
+  test(`"${guess}" for "${answer}" is ${expected} (${why})`, () => {
+    assert.equal(matchTitle(guess, [answer]).result, expected);
+  });
+}
+
+test('alternate names are accepted too', () => {
+  assert.equal(matchTitle('ddlj', ['Dilwale Dulhania Le Jayenge', 'DDLJ']).result, 'won');
+});
+
+test('normalizeTitle gives the same form for spellings of one title', () => {
+  assert.equal(normalizeTitle('Spider-Man II'), normalizeTitle('spiderman 2'));
+  assert.equal(normalizeTitle('Dark Knight, The'), normalizeTitle('The Dark Knight'));
+});
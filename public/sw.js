@@ -0,0 +1,161 @@
+/**
+ * Service worker
+ * Keeps the app shell (index.html and the built assets) and clue media cached
+ * so the app opens without a connection. Pages are network first, so a new
+ * deploy is picked up on the next online visit; built assets have hashed names
+ * and never change, so they are cache first.
+ *
+ * Today's puzzle is cached too. It comes from the getPublicPuzzle callable, a
+ * POST the Cache API can't key on, so each track's latest reply is stored under
+ * a made-up URL instead, keeping the one with the most clues revealed. Offline,
+ * it answers for the clues it holds until the puzzle's expiryDate passes.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `cinemyst-shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = `cinemyst-media-${CACHE_VERSION}`;
+const PUZZLE_CACHE = `cinemyst-puzzle-${CACHE_VERSION}`;
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+// Clue images and audio, and the web font
+const MEDIA_HOSTS = ['firebasestorage.googleapis.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const PUZZLE_FUNCTION = '/getPublicPuzzle';
+
+// Scripts and styles index.html loads straight away
+const getEntryAssets = (html) => {
+  return [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map(match => new URL(match[1], self.registration.scope))
+    .filter(url => url.origin === self.location.origin && url.pathname.startsWith('/assets/'))
+    .map(url => url.href);
+};
+
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_URLS);
+  const index = await cache.match('/index.html');
+  await cache.addAll(getEntryAssets(await index.text()));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => ![SHELL_CACHE, MEDIA_CACHE, PUZZLE_CACHE].includes(key)).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page sends the assets it loaded before this worker took control (lazy route chunks)
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'CACHE_URLS') return;
+  const urls = event.data.urls.filter(url => new URL(url).origin === self.location.origin);
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(urls)).catch(() => {}));
+});
+
+// Partial (range) responses for audio can't be cached
+const isCacheable = (response) => response && (response.status === 200 || response.type === 'opaque');
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Every route is the SPA's index.html, so one cached copy serves them all offline
+const networkFirstPage = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match('/index.html');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const getPuzzleKey = (track) => `/__puzzle/${encodeURIComponent(track || 'default')}`;
+
+const readPuzzle = async (response) => {
+  try {
+    const body = await response.json();
+    return (body.result && body.result.puzzle) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const readCachedPuzzle = async (cache, key) => {
+  const cached = await cache.match(key);
+  return cached ? readPuzzle(cached) : null;
+};
+
+// Network first; archived puzzles (a historyId) aren't kept
+const networkFirstPuzzle = async (request) => {
+  const { data = {} } = await request.clone().json().catch(() => ({}));
+  if (data.historyId) return fetch(request);
+
+  const cache = await caches.open(PUZZLE_CACHE);
+  const key = getPuzzleKey(data.track);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const puzzle = await readPuzzle(response.clone());
+      const saved = await readCachedPuzzle(cache, key);
+      const savedHasMore = saved && puzzle && saved.sourceId === puzzle.sourceId && saved.clues.length > puzzle.clues.length;
+      if (puzzle && puzzle.expiryDate && !savedHasMore) await cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const saved = await readCachedPuzzle(cache, key);
+    if (!saved || !saved.expiryDate || saved.expiryDate <= Date.now()) {
+      await cache.delete(key);
+      throw error;
+    }
+
+    const clueIndex = Number(data.clueIndex) || 0;
+    if (saved.clues.length <= clueIndex) throw error;
+
+    const puzzle = { ...saved, clues: saved.clues.slice(0, clueIndex + 1), offline: true };
+    return new Response(JSON.stringify({ result: { puzzle } }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method === 'POST' && url.pathname.endsWith(PUZZLE_FUNCTION)) {
+    event.respondWith(networkFirstPuzzle(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname))) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (MEDIA_HOSTS.includes(url.hostname) && !request.headers.has('range')) {
+    event.respondWith(cacheFirst(request, MEDIA_CACHE));
+  }
+  // Everything else (Firestore, other functions, auth) goes straight to the network
+});
@@ -0,0 +1,41 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './config';
+
+/**
+ * The signed-in user's admin role ('owner', 'moderator' or 'viewer'), or null for players
+ */
+export const getAdminRole = async (uid) => {
+  try {
+    const adminDoc = await getDoc(doc(db, 'admins', uid));
+    return adminDoc.exists() ? adminDoc.data().role || null : null;
+  } catch (error) {
+    console.error('Error getting admin role:', error);
+    return null;
+  }
+};
+
+/**
+ * Everyone with an admin role, by email
+ * Sorted here rather than in the query so hand-made docs without an email still show up.
+ */
+export const fetchAdmins = async () => {
+  const snapshot = await getDocs(collection(db, 'admins'));
+  return snapshot.docs
+    .map(adminDoc => ({ uid: adminDoc.id, ...adminDoc.data() }))
+    .sort((a, b) => (a.email || a.uid).localeCompare(b.email || b.uid));
+};
+
+/**
+ * Give the account with this email a role, or pass null to remove it (owners only)
+ */
+export const setAdminRole = async (email, role) => {
+  const setRoleFn = httpsCallable(functions, 'setAdminRole');
+  const result = await setRoleFn({ email, role });
+  return result.data;
+};
@@ -0,0 +1,140 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit
+} from 'firebase/firestore';
+import { db } from './config';
+import {
+  GUESS_COLLECTION,
+  GUESS_KINDS,
+  TOP_GUESSES,
+  summarizeAnalytics,
+  getDifficulty,
+  toGuessCounts
+} from '../../functions/shared/analytics.js';
+import { getTrack, getTrackDocId } from '../../functions/shared/tracks.js';
+
+/**
+ * Analytics so far for the live puzzle (admin only), or null if nobody has played
+ */
+export const fetchLiveAnalytics = async (displayPuzzle) => {
+  if (!displayPuzzle) return null;
+
+  const analyticsRef = doc(db, 'puzzleAnalytics', getTrackDocId(getTrack(displayPuzzle)));
+  const analyticsDoc = await getDoc(analyticsRef);
+  if (!analyticsDoc.exists() || analyticsDoc.data().puzzleId !== displayPuzzle.sourceId) return null;
+
+  // Most frequent wrong and close guesses, each counted in its own doc
+  const guessCounts = {};
+  await Promise.all(Object.entries(GUESS_KINDS).map(async ([kind, field]) => {
+    const snapshot = await getDocs(query(
+      collection(analyticsRef, GUESS_COLLECTION),
+      where('puzzleId', '==', displayPuzzle.sourceId),
+      where('kind', '==', kind),
+      orderBy('count', 'desc'),
+      limit(TOP_GUESSES)
+    ));
+    guessCounts[field] = toGuessCounts(snapshot.docs.map(d => d.data()));
+  }));
+
+  const summary = summarizeAnalytics({ ...analyticsDoc.data(), ...guessCounts }, displayPuzzle.clues.length);
+  return {
+    id: 'live',
+    live: true,
+    track: getTrack(displayPuzzle),
+    movieName: displayPuzzle.movieName,
+    submittedBy: displayPuzzle.submittedBy,
+    puzzleDate: displayPuzzle.puzzleDate || null,
+    analytics: summary,
+    ...getDifficulty(summary)
+  };
+};
+
+// History ids start with the puzzle's date key, or "undated" for very old puzzles
+const getDateFromHistoryId = (historyId) => {
+  const prefix = historyId.split('_')[0];
+  return /^\d{4}-\d{2}-\d{2}$/.test(prefix) ? prefix : null;
+};
+
+/**
+ * Archived puzzle analytics, newest first
+ * Puzzles archived before analytics existed only have winners' clueCounts,
+ * so they get an avgSolveClue but no solveRate.
+ */
+export const fetchArchivedAnalytics = async (size = 60) => {
+  const statsQuery = query(collection(db, 'historyStats'), orderBy('archivedAt', 'desc'), limit(size));
+  const snapshot = await getDocs(statsQuery);
+
+  return Promise.all(snapshot.docs.map(async (statsDoc) => {
+    const stats = statsDoc.data();
+    const analytics = stats.analytics || null;
+    let difficulty;
+    if (analytics) {
+      difficulty = getDifficulty(analytics);
+    } else {
+      const clueCounts = stats.clueCounts || {};
+      const clueCount = Math.max(0, ...Object.keys(clueCounts).map(Number)) + 1;
+      difficulty = { ...getDifficulty(summarizeAnalytics({ wins: clueCounts }, clueCount)), solveRate: null };
+    }
+
+    // Older stats docs don't carry the puzzle's details, so look them up in the archive
+    let details = stats;
+    if (!stats.movieName) {
+      const historyDoc = await getDoc(doc(db, 'historyPuzzles', statsDoc.id));
+      details = historyDoc.exists() ? historyDoc.data() : {};
+    }
+
+    return {
+      id: statsDoc.id,
+      live: false,
+      track: getTrack(details),
+      movieName: details.movieName || 'Unknown movie',
+      submittedBy: details.submittedBy || 'Unknown',
+      puzzleDate: details.puzzleDate || getDateFromHistoryId(statsDoc.id),
+      analytics,
+      ...difficulty
+    };
+  }));
+};
+
+/**
+ * Average difficulty per submitter across the given puzzles, most puzzles first
+ */
+export const summarizeBySubmitter = (entries) => {
+  const submitters = new Map();
+
+  entries.forEach((entry) => {
+    const current = submitters.get(entry.submittedBy) || {
+      submittedBy: entry.submittedBy,
+      puzzles: 0,
+      clueTotal: 0,
+      clueSamples: 0,
+      rateTotal: 0,
+      rateSamples: 0
+    };
+    current.puzzles++;
+    if (entry.avgSolveClue !== null) {
+      current.clueTotal += entry.avgSolveClue;
+      current.clueSamples++;
+    }
+    if (entry.solveRate !== null) {
+      current.rateTotal += entry.solveRate;
+      current.rateSamples++;
+    }
+    submitters.set(entry.submittedBy, current);
+  });
+
+  return [...submitters.values()]
+    .map(s => ({
+      submittedBy: s.submittedBy,
+      puzzles: s.puzzles,
+      avgSolveClue: s.clueSamples ? s.clueTotal / s.clueSamples : null,
+      solveRate: s.rateSamples ? s.rateTotal / s.rateSamples : null
+    }))
+    .sort((a, b) => b.puzzles - a.puzzles);
+};
@@ -0,0 +1,67 @@
+import {
+  collection,
+  doc,
+  writeBatch,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './config';
+
+export const AUDIT_PAGE_SIZE = 30;
+
+/**
+ * Carry out an admin action and its audit log entry in one batch
+ * write(batch, auditId) adds the action's own writes, and every doc it creates
+ * or updates must carry auditId. The batch also points the admin's
+ * auditCursors doc at the new entry; firestore.rules only accept changes to
+ * the puzzle collections and settings alongside such a fresh entry, and only
+ * entries that match what the batch did. target is { collection, id, movieName }.
+ * Resolves to the entry's id; if the batch fails, nothing is written.
+ */
+export const commitAdminAction = async (action, admin, target, details = {}, write = () => {}) => {
+  const batch = writeBatch(db);
+  const entryRef = doc(collection(db, 'auditLog'));
+
+  write(batch, entryRef.id);
+  batch.set(entryRef, {
+    action,
+    actorUid: admin.uid,
+    actorEmail: admin.email || null,
+    actorRole: admin.role || null,
+    target,
+    details,
+    at: serverTimestamp()
+  });
+  batch.set(doc(db, 'auditCursors', admin.uid), { entryId: entryRef.id });
+
+  await batch.commit();
+  return entryRef.id;
+};
+
+/**
+ * Fetch one page of the audit log, newest first
+ * action and actorUid narrow the results (actorUid null means the system's own
+ * rotations); pass the cursor from the previous page to continue.
+ * Resolves to { entries, cursor, hasMore }
+ */
+export const fetchAuditPage = async ({ action = '', actorUid, cursor = null, pageSize = AUDIT_PAGE_SIZE } = {}) => {
+  const constraints = [];
+  if (action) constraints.push(where('action', '==', action));
+  if (actorUid !== undefined) constraints.push(where('actorUid', '==', actorUid));
+  constraints.push(orderBy('at', 'desc'));
+  if (cursor) constraints.push(startAfter(cursor));
+  constraints.push(limit(pageSize));
+
+  const snapshot = await getDocs(query(collection(db, 'auditLog'), ...constraints));
+
+  return {
+    entries: snapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })),
+    cursor: snapshot.docs.length ? snapshot.docs[snapshot.docs.length - 1] : cursor,
+    hasMore: snapshot.docs.length === pageSize
+  };
+};
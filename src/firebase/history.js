@@ -0,0 +1,93 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './config';
+
+export const HISTORY_PAGE_SIZE = 20;
+
+// Must match MAX_KEYWORD_LENGTH in functions/index.js
+const MAX_KEYWORD_LENGTH = 15;
+
+/**
+ * Split a search term into lowercase words, the same way the functions build searchKeywords
+ */
+const toSearchWords = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(word => word.slice(0, MAX_KEYWORD_LENGTH));
+};
+
+/**
+ * Fetch one page of archived puzzles, newest first
+ * search matches word prefixes of the movie name, alternate names or submitter.
+ * month is a 'YYYY-MM' string and track a track id ('' for all tracks).
+ * Pass the cursor from the previous page to continue.
+ * Resolves to { puzzles, cursor, hasMore }
+ */
+export const fetchHistoryPage = async ({ search = '', month = '', track = '', cursor = null, pageSize = HISTORY_PAGE_SIZE } = {}) => {
+  const words = toSearchWords(search);
+  const constraints = [];
+
+  // Firestore allows a single array-contains, so query on the first word and filter the rest here
+  if (words.length > 0) {
+    constraints.push(where('searchKeywords', 'array-contains', words[0]));
+  }
+  if (track) {
+    constraints.push(where('track', '==', track));
+  }
+  if (month) {
+    constraints.push(where('puzzleMonth', '==', month));
+  }
+  constraints.push(orderBy('movedToHistoryAt', 'desc'));
+  if (cursor) {
+    constraints.push(startAfter(cursor));
+  }
+  constraints.push(limit(pageSize));
+
+  const snapshot = await getDocs(query(collection(db, 'historyPuzzles'), ...constraints));
+
+  const puzzles = snapshot.docs
+    .map(historyDoc => ({ id: historyDoc.id, ...historyDoc.data() }))
+    .filter(puzzle => words.slice(1).every(word => (puzzle.searchKeywords || []).includes(word)));
+
+  return {
+    puzzles,
+    cursor: snapshot.docs.length ? snapshot.docs[snapshot.docs.length - 1] : cursor,
+    hasMore: snapshot.docs.length === pageSize
+  };
+};
+
+/**
+ * Fetch a single archived puzzle by id (for permalinks)
+ */
+export const fetchHistoryPuzzle = async (historyId) => {
+  const historyDoc = await getDoc(doc(db, 'historyPuzzles', historyId));
+  return historyDoc.exists() ? { id: historyDoc.id, ...historyDoc.data() } : null;
+};
+
+/**
+ * Permalink for an archived puzzle
+ */
+export const getHistoryPermalink = (historyId) => {
+  return `${window.location.origin}/history/${historyId}`;
+};
+
+/**
+ * Add search fields (and the track) to puzzles archived before they existed (admin only)
+ */
+export const backfillHistorySearch = async () => {
+  const backfillFn = httpsCallable(functions, 'backfillHistorySearch');
+  const result = await backfillFn();
+  return result.data;
+};
@@ -0,0 +1,57 @@
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { httpsCallable } from 'firebase/functions';
+import { storage, functions } from './config';
+import { MEDIA_LIMITS, MEDIA_PATH_PREFIX } from '../../functions/shared/clues.js';
+
+/**
+ * Length of an audio file in seconds, read by the browser
+ */
+const getAudioDuration = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const audio = new Audio();
+  audio.preload = 'metadata';
+  audio.onloadedmetadata = () => {
+    URL.revokeObjectURL(url);
+    resolve(audio.duration);
+  };
+  audio.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('That audio file could not be read'));
+  };
+  audio.src = url;
+});
+
+/**
+ * Upload an image or audio file for a clue into the signed-in user's folder
+ * Resolves to the clue to store ({ type, url, path }), or throws an Error
+ * whose message can be shown to the submitter.
+ */
+export const uploadClueMedia = async (file, type, uid) => {
+  const limits = MEDIA_LIMITS[type];
+  if (!limits.contentTypes.includes(file.type)) {
+    throw new Error(`Unsupported ${type} format`);
+  }
+  if (file.size > limits.maxBytes) {
+    throw new Error(`${type === 'image' ? 'Images' : 'Audio clips'} must be under ${limits.maxBytes / (1024 * 1024)} MB`);
+  }
+  if (limits.maxSeconds && await getAudioDuration(file) > limits.maxSeconds) {
+    throw new Error(`Audio clips must be at most ${limits.maxSeconds} seconds`);
+  }
+
+  // Letters and digits only, so the path stays within what the rules accept
+  const extension = (file.name.includes('.') ? file.name.split('.').pop().toLowerCase().replace(/[^a-z0-9]/g, '') : '') || type;
+  const path = `${MEDIA_PATH_PREFIX}${uid}/${Date.now()}_${Math.random().toString(36).slice(2, 8)}.${extension}`;
+  const fileRef = ref(storage, path);
+
+  await uploadBytes(fileRef, file, { contentType: file.type });
+  return { type, url: await getDownloadURL(fileRef), path };
+};
+
+/**
+ * Make the blurred copies players see for image clues uploaded before they existed (admin only)
+ */
+export const backfillBlurredImages = async () => {
+  const backfillFn = httpsCallable(functions, 'backfillBlurredImages');
+  const result = await backfillFn();
+  return result.data;
+};
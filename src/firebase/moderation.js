@@ -0,0 +1,176 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  arrayUnion,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './config';
+import { commitAdminAction } from './audit';
+import { DEFAULT_REPLAY_COOLDOWN_DAYS, getCooldownCutoff } from '../../functions/shared/duplicates.js';
+import { getTrack } from '../../functions/shared/tracks.js';
+import {
+  DEFAULT_FALLBACK_POLICY,
+  DEFAULT_FALLBACK_REPLAY_DAYS,
+  DEFAULT_QUEUE_WARNING_DAYS
+} from '../../functions/shared/fallback.js';
+
+/**
+ * Reasons an admin can pick when rejecting a puzzle
+ * The key is stored on the rejected doc; the label is what submitters see.
+ */
+export const REJECTION_REASONS = [
+  { key: 'duplicate', label: 'Duplicate movie' },
+  { key: 'giveaway', label: 'A clue gives away the title' },
+  { key: 'factual_error', label: 'Factual error in a clue' },
+  { key: 'clue_order', label: 'Clues are not ordered hardest to easiest' },
+  { key: 'too_vague', label: 'Clues are too vague to solve' },
+  { key: 'inappropriate', label: 'Inappropriate content' },
+  { key: 'other', label: 'Other' }
+];
+
+/**
+ * Human readable label for a stored rejection reason
+ */
+export const getRejectionLabel = (key) => {
+  const reason = REJECTION_REASONS.find(r => r.key === key);
+  return reason ? reason.label : 'No reason given';
+};
+
+/**
+ * Send an edited rejected puzzle back to the review queue
+ */
+export const resubmitPuzzle = async (rejectedId, puzzle) => {
+  const resubmitFn = httpsCallable(functions, 'resubmitPuzzle');
+  const result = await resubmitFn({ rejectedId, ...puzzle });
+  return result.data;
+};
+
+/**
+ * Restore alternate names that older approve/rotate code dropped (admin only)
+ */
+export const backfillAlternateNames = async () => {
+  const backfillFn = httpsCallable(functions, 'backfillAlternateNames');
+  const result = await backfillFn();
+  return result.data;
+};
+
+/**
+ * Fields an admin may change on a queued puzzle
+ * Changing the track moves the puzzle to that track's queue.
+ */
+export const EDITABLE_FIELDS = ['movieName', 'alternateNames', 'clues', 'track'];
+
+const currentValue = (puzzle, field) => {
+  if (field === 'track') return getTrack(puzzle);
+  return puzzle[field] ?? (field === 'movieName' ? '' : []);
+};
+
+/**
+ * Apply an admin's edits to a waiting, approved or rejected puzzle
+ * Only changed fields are written. Each save appends an entry with the editor,
+ * the time and the previous values to the puzzle's editHistory, and is
+ * recorded in the audit log in the same batch.
+ * Resolves to the written update, or null if nothing changed.
+ */
+export const savePuzzleEdits = async (collectionName, puzzle, edits, editor) => {
+  const changed = EDITABLE_FIELDS.filter(
+    field => JSON.stringify(edits[field]) !== JSON.stringify(currentValue(puzzle, field))
+  );
+  if (changed.length === 0) return null;
+
+  const previous = {};
+  const update = {};
+  changed.forEach((field) => {
+    previous[field] = currentValue(puzzle, field);
+    update[field] = edits[field];
+  });
+
+  const entry = {
+    editedBy: editor.email || editor.uid,
+    editorUid: editor.uid,
+    editedAt: Timestamp.now(),
+    fields: changed,
+    previous
+  };
+
+  const target = { collection: collectionName, id: puzzle.id, movieName: puzzle.movieName || null };
+  await commitAdminAction('edit', editor, target, { fields: changed }, (batch, auditId) => {
+    batch.update(doc(db, collectionName, puzzle.id), {
+      ...update,
+      editHistory: arrayUnion(entry),
+      lastEditedAt: serverTimestamp(),
+      auditId
+    });
+  });
+
+  return { ...update, editHistory: [...(puzzle.editHistory || []), entry] };
+};
+
+const DEFAULT_SETTINGS = {
+  replayCooldownDays: DEFAULT_REPLAY_COOLDOWN_DAYS,
+  fallbackPolicy: DEFAULT_FALLBACK_POLICY,
+  fallbackReplayDays: DEFAULT_FALLBACK_REPLAY_DAYS,
+  queueWarningDays: DEFAULT_QUEUE_WARNING_DAYS
+};
+
+/**
+ * Moderation settings (replay cool-down, empty-queue fallback, queue warning), falling back to defaults
+ */
+export const getModerationSettings = async () => {
+  try {
+    const settingsDoc = await getDoc(doc(db, 'settings', 'moderation'));
+    const settings = settingsDoc.exists() ? settingsDoc.data() : {};
+    return {
+      replayCooldownDays: settings.replayCooldownDays ?? DEFAULT_SETTINGS.replayCooldownDays,
+      fallbackPolicy: settings.fallbackPolicy ?? DEFAULT_SETTINGS.fallbackPolicy,
+      fallbackReplayDays: settings.fallbackReplayDays ?? DEFAULT_SETTINGS.fallbackReplayDays,
+      queueWarningDays: settings.queueWarningDays ?? DEFAULT_SETTINGS.queueWarningDays
+    };
+  } catch (error) {
+    console.error('Error getting moderation settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Save moderation settings (admin only), recorded in the audit log
+ */
+export const saveModerationSettings = async (settings, admin) => {
+  const target = { collection: 'settings', id: 'moderation', movieName: null };
+  await commitAdminAction('settings', admin, target, settings, (batch, auditId) => {
+    batch.set(doc(db, 'settings', 'moderation'), {
+      ...settings,
+      updatedAt: serverTimestamp(),
+      auditId
+    }, { merge: true });
+  });
+};
+
+/**
+ * Archived puzzles still inside the replay cool-down window
+ */
+export const fetchRecentlyPlayed = async (cooldownDays) => {
+  const recentQuery = query(
+    collection(db, 'historyPuzzles'),
+    where('movedToHistoryAt', '>=', Timestamp.fromDate(getCooldownCutoff(cooldownDays)))
+  );
+  const snapshot = await getDocs(recentQuery);
+  return snapshot.docs.map(historyDoc => ({ id: historyDoc.id, ...historyDoc.data() }));
+};
+
+/**
+ * Ask the server whether a movie is already queued or played recently
+ * Resolves to { matches: [{ status, date, movieName }], blocked, cooldownDays }
+ * For players, queued matches come without a title or date and live ones are left out.
+ */
+export const checkDuplicateMovie = async (puzzle, excludeId = null) => {
+  const checkFn = httpsCallable(functions, 'checkDuplicateMovie');
+  const result = await checkFn({ ...puzzle, excludeId });
+  return result.data;
+};
@@ -0,0 +1,97 @@
+import { verifyGuess } from './puzzleRotation';
+import { recordResult } from './playerStats';
+
+const QUEUE_KEY = 'cinemist_offline_queue';
+
+// Queued actions that keep failing while online are dropped after this many tries
+const MAX_SYNC_ATTEMPTS = 5;
+
+const NETWORK_ERROR_CODES = ['unavailable', 'functions/unavailable', 'functions/deadline-exceeded', 'auth/network-request-failed'];
+
+/**
+ * Whether an error means the request never reached the server
+ * 'internal' isn't one: it is also how real server errors arrive, and those
+ * must surface rather than be queued and retried.
+ */
+export const isNetworkError = (error) => {
+  return !navigator.onLine || NETWORK_ERROR_CODES.includes(error && error.code);
+};
+
+const readJSON = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : fallback;
+  } catch (e) {
+    console.error('Error reading offline data:', key);
+    return fallback;
+  }
+};
+
+const readQueue = () => readJSON(QUEUE_KEY, []);
+
+const writeQueue = (queue) => {
+  if (queue.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  else localStorage.removeItem(QUEUE_KEY);
+};
+
+/**
+ * Queue a guess or a finished result to send once the connection is back
+ * Guesses: { type: 'guess', track, puzzleId, guess, clueIndex, expiryDate }
+ * Results: { type: 'result', uid, result } (as passed to recordResult)
+ * Returns the queued action's id.
+ */
+export const queueOfflineAction = (action) => {
+  const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  writeQueue([...readQueue(), { ...action, id, attempts: 0 }]);
+  return id;
+};
+
+let syncing = false;
+
+/**
+ * Send queued actions in order
+ * Guesses for expired puzzles are dropped, and so are the rest of a puzzle's
+ * guesses once one of them wins. onGuessResult(action, result) is called with
+ * each guess the server checked. Stops at the first network error, leaving it
+ * and everything after it queued. Recording a result twice is harmless, since
+ * recordResult only counts a puzzle once.
+ */
+export const syncOfflineQueue = async (onGuessResult = () => {}) => {
+  if (syncing || !navigator.onLine) return;
+  syncing = true;
+
+  const solved = new Set();
+  try {
+    for (const action of readQueue()) {
+      let done = true;
+
+      try {
+        if (action.type === 'guess') {
+          const key = `${action.track}_${action.puzzleId}`;
+          if (!solved.has(key) && action.expiryDate > Date.now()) {
+            const result = await verifyGuess(action.puzzleId, action.guess, action.clueIndex, null, action.track);
+            if (result.result === 'won') solved.add(key);
+            onGuessResult(action, result);
+          }
+        } else if (action.type === 'result') {
+          done = (await recordResult(action.uid, action.result)) !== null;
+        }
+      } catch (error) {
+        console.error('Error syncing offline action:', error);
+        if (isNetworkError(error)) break;
+        done = false;
+      }
+
+      // Re-read so actions queued while this one was in flight are kept
+      const queue = readQueue();
+      if (done || action.attempts + 1 >= MAX_SYNC_ATTEMPTS) {
+        writeQueue(queue.filter(a => a.id !== action.id));
+      } else {
+        writeQueue(queue.map(a => (a.id === action.id ? { ...a, attempts: a.attempts + 1 } : a)));
+        if (!navigator.onLine) break;
+      }
+    }
+  } finally {
+    syncing = false;
+  }
+};
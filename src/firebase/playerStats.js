@@ -0,0 +1,278 @@
+import {
+  doc,
+  getDoc,
+  setDoc,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import {
+  signInAnonymously,
+  signInWithEmailAndPassword,
+  linkWithCredential,
+  EmailAuthProvider
+} from 'firebase/auth';
+import { db, auth } from './config';
+import { addDaysToKey } from './puzzleRotation';
+import { DEFAULT_TRACK, getTrack } from '../../functions/shared/tracks.js';
+
+const PROGRESS_PREFIX = 'cinemist_progress_';
+export const ARCHIVE_PROGRESS_PREFIX = 'cinemist_archive_';
+
+/**
+ * localStorage key for a daily puzzle's progress
+ * The default track keeps the key it had before tracks existed.
+ */
+export const getProgressKey = (track, puzzleId) => {
+  return track === DEFAULT_TRACK ? `${PROGRESS_PREFIX}${puzzleId}` : `${PROGRESS_PREFIX}${track}_${puzzleId}`;
+};
+
+/**
+ * Where a player's stats for a track are kept
+ * Each track has its own streak; the default track's stats stay on the player doc.
+ */
+const getStatsRef = (uid, track) => {
+  return track === DEFAULT_TRACK ? doc(db, 'players', uid) : doc(db, 'players', uid, 'trackStats', track);
+};
+
+/**
+ * Empty stats record for a new player
+ */
+const emptyStats = () => ({
+  played: 0,
+  wins: 0,
+  losses: 0,
+  currentStreak: 0,
+  longestStreak: 0,
+  lastWonDate: null,
+  guessDistribution: {}
+});
+
+/**
+ * Play as a guest - creates an anonymous account that can be upgraded later
+ */
+export const signInAsGuest = async () => {
+  const credential = await signInAnonymously(auth);
+  return credential.user;
+};
+
+/**
+ * Sign in to an existing email account
+ */
+export const signInWithEmail = async (email, password) => {
+  const credential = await signInWithEmailAndPassword(auth, email, password);
+  return credential.user;
+};
+
+/**
+ * Attach an email and password to the current guest account
+ * Keeps the same uid, so all stats recorded so far carry over
+ */
+export const upgradeToEmail = async (email, password) => {
+  const credential = EmailAuthProvider.credential(email, password);
+  const result = await linkWithCredential(auth.currentUser, credential);
+  return result.user;
+};
+
+/**
+ * Get a player's stats record for a track
+ */
+export const getPlayerStats = async (uid, track = DEFAULT_TRACK) => {
+  try {
+    const playerDoc = await getDoc(getStatsRef(uid, track));
+    return playerDoc.exists() ? { ...emptyStats(), ...playerDoc.data() } : emptyStats();
+  } catch (error) {
+    console.error('Error getting player stats:', error);
+    return emptyStats();
+  }
+};
+
+/**
+ * Streak as it stands today - a streak is broken once a day is missed
+ */
+export const getActiveStreak = (stats, todayKey) => {
+  if (!stats.lastWonDate) return 0;
+  const yesterdayKey = addDaysToKey(todayKey, -1);
+  return stats.lastWonDate >= yesterdayKey ? stats.currentStreak : 0;
+};
+
+/**
+ * Get saved progress for one puzzle from the player's account
+ */
+export const loadRemoteProgress = async (uid, puzzleId) => {
+  try {
+    const resultDoc = await getDoc(doc(db, 'players', uid, 'results', puzzleId));
+    return resultDoc.exists() ? resultDoc.data() : null;
+  } catch (error) {
+    console.error('Error loading remote progress:', error);
+    return null;
+  }
+};
+
+/**
+ * Save in-progress state for one puzzle so it can be resumed on another device
+ * Finished results are only written through recordResult
+ */
+export const saveRemoteProgress = async (uid, progress) => {
+  try {
+    await setDoc(doc(db, 'players', uid, 'results', progress.puzzleId), {
+      puzzleId: progress.puzzleId,
+      puzzleDate: progress.puzzleDate || null,
+      track: getTrack(progress),
+      clueIndex: progress.clueIndex,
+      gameState: progress.gameState,
+      guesses: progress.guesses || [],
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error saving remote progress:', error);
+  }
+};
+
+/**
+ * Apply one finished result to a stats record
+ */
+const applyResult = (stats, result) => {
+  const next = { ...stats, guessDistribution: { ...stats.guessDistribution } };
+  next.played++;
+
+  if (result.gameState === 'won') {
+    next.wins++;
+    next.guessDistribution[result.clueIndex] = (next.guessDistribution[result.clueIndex] || 0) + 1;
+
+    // Results without a date (migrated from old local progress) count but don't touch the streak
+    if (result.puzzleDate) {
+      const continues = stats.lastWonDate === addDaysToKey(result.puzzleDate, -1);
+      next.currentStreak = continues ? stats.currentStreak + 1 : 1;
+      next.lastWonDate = result.puzzleDate;
+      next.longestStreak = Math.max(next.longestStreak, next.currentStreak);
+    }
+  } else {
+    next.losses++;
+    if (result.puzzleDate) next.currentStreak = 0;
+  }
+
+  return next;
+};
+
+/**
+ * Record a finished puzzle (won or lost) against the player's stats for its track
+ * Each puzzle only counts once, however many devices report it
+ */
+export const recordResult = async (uid, result) => {
+  const statsRef = getStatsRef(uid, getTrack(result));
+  const resultRef = doc(db, 'players', uid, 'results', result.puzzleId);
+
+  try {
+    return await runTransaction(db, async (t) => {
+      const resultDoc = await t.get(resultRef);
+      const statsDoc = await t.get(statsRef);
+      const stats = statsDoc.exists() ? { ...emptyStats(), ...statsDoc.data() } : emptyStats();
+
+      if (resultDoc.exists() && resultDoc.data().finishedAt) {
+        return stats;
+      }
+
+      const next = applyResult(stats, result);
+
+      t.set(statsRef, { ...next, updatedAt: serverTimestamp() }, { merge: true });
+      t.set(resultRef, {
+        puzzleId: result.puzzleId,
+        puzzleDate: result.puzzleDate || null,
+        track: getTrack(result),
+        clueIndex: result.clueIndex,
+        gameState: result.gameState,
+        movieName: result.movieName || '',
+        guesses: result.guesses || [],
+        finishedAt: serverTimestamp()
+      }, { merge: true });
+
+      return next;
+    });
+  } catch (error) {
+    console.error('Error recording result:', error);
+    return null;
+  }
+};
+
+/**
+ * Copy finished games stored in localStorage into the player's account
+ * Only runs once per account
+ */
+export const migrateLocalProgress = async (uid) => {
+  const playerRef = doc(db, 'players', uid);
+
+  try {
+    const playerDoc = await getDoc(playerRef);
+    if (playerDoc.exists() && playerDoc.data().migratedLocalProgress) return;
+
+    const localResults = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key || !key.startsWith(PROGRESS_PREFIX)) continue;
+
+      try {
+        const progress = JSON.parse(localStorage.getItem(key));
+        if (progress && progress.puzzleId && progress.gameState !== 'playing') {
+          localResults.push(progress);
+        }
+      } catch (e) {
+        console.error('Skipping unreadable progress entry:', key);
+      }
+    }
+
+    // Oldest first so streaks build up in order
+    localResults.sort((a, b) => (a.puzzleDate || '').localeCompare(b.puzzleDate || ''));
+
+    for (const progress of localResults) {
+      await recordResult(uid, progress);
+    }
+
+    await setDoc(playerRef, { migratedLocalProgress: true }, { merge: true });
+    console.log(`Migrated ${localResults.length} local results`);
+  } catch (error) {
+    console.error('Error migrating local progress:', error);
+  }
+};
+
+/**
+ * Get a player's saved result for an archived puzzle
+ * Archive results live apart from daily results so they never touch streaks or stats
+ */
+export const loadArchiveResult = async (uid, historyId) => {
+  try {
+    const resultDoc = await getDoc(doc(db, 'players', uid, 'archiveResults', historyId));
+    return resultDoc.exists() ? resultDoc.data() : null;
+  } catch (error) {
+    console.error('Error loading archive result:', error);
+    return null;
+  }
+};
+
+/**
+ * Save a player's progress or result for an archived puzzle
+ */
+export const saveArchiveResult = async (uid, historyId, progress) => {
+  try {
+    await setDoc(doc(db, 'players', uid, 'archiveResults', historyId), {
+      historyId,
+      clueIndex: progress.clueIndex,
+      gameState: progress.gameState,
+      movieName: progress.movieName || '',
+      guesses: progress.guesses || [],
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error saving archive result:', error);
+  }
+};
+
+/**
+ * Local progress for an archived puzzle, or null if it was never played on this device
+ */
+export const getLocalArchiveProgress = (historyId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${ARCHIVE_PROGRESS_PREFIX}${historyId}`));
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,66 @@
+import { doc, onSnapshot } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './config';
+import { ensurePlayer } from './session';
+import { HEARTBEAT_INTERVAL_MS } from '../../functions/shared/presence.js';
+
+/**
+ * Tell the server this player is online
+ * Presence is written by the pingPresence function; clients can't write it directly.
+ */
+export const pingPresence = async () => {
+  try {
+    await ensurePlayer();
+    const pingFn = httpsCallable(functions, 'pingPresence');
+    await pingFn();
+  } catch (error) {
+    console.error('Error pinging presence:', error);
+  }
+};
+
+/**
+ * Send presence heartbeats while the page is visible
+ * Beats once straight away, then every HEARTBEAT_INTERVAL_MS. A hidden tab
+ * stops beating and drops off the count; it beats again as soon as it is shown.
+ * Returns a function that stops the heartbeat.
+ */
+export const startPresence = () => {
+  let timer = null;
+
+  const stopBeating = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const startBeating = () => {
+    if (timer) return;
+    pingPresence();
+    timer = setInterval(pingPresence, HEARTBEAT_INTERVAL_MS);
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) stopBeating();
+    else startBeating();
+  };
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  if (!document.hidden) startBeating();
+
+  return () => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    stopBeating();
+  };
+};
+
+/**
+ * Listen to the number of players online
+ * Reads the one presenceStats/online doc the server keeps up to date.
+ * Returns the unsubscribe function.
+ */
+export const subscribeToOnlineCount = (onChange) => {
+  return onSnapshot(doc(db, 'presenceStats', 'online'), (statsDoc) => {
+    onChange(statsDoc.exists() ? statsDoc.data().count || 0 : 0);
+  }, (error) => {
+    console.error('Error listening to online count:', error);
+  });
+};
@@ -1,165 +1,62 @@
-import { 
-  collection, 
-  doc, 
-  getDoc, 
-  getDocs, 
-  addDoc, 
-  setDoc,
-  deleteDoc, 
-  query, 
-  orderBy, 
-  limit,
-  serverTimestamp 
-} from 'firebase/firestore';
-import { db } from './config';
+import { doc, getDoc, onSnapshot } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './config';
+import { ensurePlayer } from './session';
+import { PUZZLE_TIME_ZONE } from '../../functions/shared/puzzleDay.js';
+import { DEFAULT_TRACK, getTrackDocId } from '../../functions/shared/tracks.js';
 
-/**
- * Get the start and end timestamps for today in IST
- * Start: 12:00 AM IST
- * End: 11:59:59 PM IST
- */
-export const getTodayISTBounds = () => {
-  const now = new Date();
-  
-  // Convert to IST (UTC+5:30)
-  const istOffset = 5.5 * 60 * 60 * 1000;
-  const istNow = new Date(now.getTime() + istOffset);
-  
-  // Get start of day (12:00 AM IST)
-  const startOfDay = new Date(istNow);
-  startOfDay.setUTCHours(0, 0, 0, 0);
-  
-  // Get end of day (11:59:59 PM IST)
-  const endOfDay = new Date(istNow);
-  endOfDay.setUTCHours(23, 59, 59, 999);
-  
-  return {
-    start: startOfDay,
-    end: endOfDay,
-    now: istNow
-  };
-};
+export { addDaysToKey, getPuzzleDayKey, getPuzzleDayBounds } from '../../functions/shared/puzzleDay.js';
+export { pickPuzzleForDate, buildQueueSchedule } from '../../functions/shared/schedule.js';
 
 /**
- * Check if the current display puzzle has expired
+ * Format a 'YYYY-MM-DD' date key for display, e.g. "Mon, 3 Mar"
  */
-export const checkDisplayPuzzleExpiry = async () => {
-  try {
-    const displayDocRef = doc(db, 'displayPuzzle', 'current');
-    const displayDoc = await getDoc(displayDocRef);
-    
-    if (!displayDoc.exists()) {
-      console.log('No display puzzle found');
-      return { expired: true, puzzle: null };
-    }
-    
-    const puzzleData = displayDoc.data();
-    const expiryDate = puzzleData.expiryDate?.toDate();
-    const now = new Date();
-    
-    if (!expiryDate || now > expiryDate) {
-      console.log('Display puzzle has expired');
-      return { expired: true, puzzle: puzzleData };
-    }
-    
-    return { expired: false, puzzle: puzzleData };
-  } catch (error) {
-    console.error('Error checking display puzzle expiry:', error);
-    return { expired: true, puzzle: null };
-  }
+export const formatDateKey = (dateKey, options = { weekday: 'short', day: 'numeric', month: 'short' }) => {
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-IN', { ...options, timeZone: 'UTC' });
 };
 
 /**
- * Move expired puzzle to history
- * @deprecated Use Cloud Function instead
+ * Format an instant as a time of day in the puzzle's time zone, e.g. "11:59 pm"
  */
-export const moveToHistory = async (puzzleData) => {
-  try {
-    if (!puzzleData) return;
-    
-    // Add to history collection
-    await addDoc(collection(db, 'historyPuzzles'), {
-      ...puzzleData,
-      movedToHistoryAt: serverTimestamp()
-    });
-    
-    console.log('Moved puzzle to history');
-  } catch (error) {
-    console.error('Error moving puzzle to history:', error);
-    throw error;
-  }
+export const formatPuzzleTime = (date) => {
+  return date.toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit', timeZone: PUZZLE_TIME_ZONE });
 };
 
 /**
- * Get the oldest approved puzzle (FIFO - First In, First Out)
+ * Check if a track's display puzzle has expired
+ * Goes through the public callable so it works without read access to displayPuzzle.
+ * Returns the puzzle it fetched too, so callers don't have to ask for it again.
  */
-export const getNextApprovedPuzzle = async () => {
-  try {
-    const approvedQuery = query(
-      collection(db, 'approvedPuzzles'),
-      orderBy('createdAt', 'asc'),
-      limit(1)
-    );
-    
-    const querySnapshot = await getDocs(approvedQuery);
-    
-    if (querySnapshot.empty) {
-      console.log('No approved puzzles available');
-      return null;
-    }
-    
-    const puzzleDoc = querySnapshot.docs[0];
-    return {
-      id: puzzleDoc.id,
-      ...puzzleDoc.data()
-    };
-  } catch (error) {
-    console.error('Error getting next approved puzzle:', error);
-    return null;
+export const checkDisplayPuzzleExpiry = async (track = DEFAULT_TRACK) => {
+  const puzzleData = await getPublicPuzzle(0, null, track);
+  
+  if (!puzzleData) {
+    console.log('No display puzzle found');
+    return { expired: true, puzzle: null };
   }
-};
-
-/**
- * Set a new puzzle as the display puzzle with expiry
- * @deprecated Use Cloud Function instead
- */
-export const setDisplayPuzzle = async (puzzle) => {
-  try {
-    const { start, end } = getTodayISTBounds();
-    
-    const displayDocRef = doc(db, 'displayPuzzle', 'current');
-    
-    await setDoc(displayDocRef, {
-      movieName: puzzle.movieName,
-      submittedBy: puzzle.submittedBy,
-      clues: puzzle.clues,
-      createdAt: puzzle.createdAt,
-      approvedAt: puzzle.approvedAt,
-      displayedAt: serverTimestamp(),
-      expiryDate: end, // 11:59:59 PM IST today
-      sourceId: puzzle.id // Keep reference to original approved puzzle
-    });
-    
-    // Delete from approved puzzles
-    await deleteDoc(doc(db, 'approvedPuzzles', puzzle.id));
-    
-    console.log('Set new display puzzle with expiry:', end);
-    return true;
-  } catch (error) {
-    console.error('Error setting display puzzle:', error);
-    throw error;
+  
+  const expiryDate = puzzleData.expiryDate ? new Date(puzzleData.expiryDate) : null;
+  const now = new Date();
+  
+  if (!expiryDate || now > expiryDate) {
+    console.log('Display puzzle has expired');
+    return { expired: true, puzzle: puzzleData };
   }
+  
+  return { expired: false, puzzle: puzzleData };
 };
 
 /**
- * Main rotation function - checks expiry and rotates puzzles
+ * Main rotation function - checks a track's expiry and rotates its puzzle
  * Call this when the app loads or periodically
+ * Resolves with { success, newPuzzle, puzzle }: puzzle is the one to show when it
+ * is already known, or null when the rotation replaced it and it must be fetched.
  */
-export const rotatePuzzleIfNeeded = async () => {
+export const rotatePuzzleIfNeeded = async (track = DEFAULT_TRACK) => {
   try {
     console.log('Checking if puzzle rotation is needed...');
     
-    const { expired } = await checkDisplayPuzzleExpiry();
+    const { expired, puzzle } = await checkDisplayPuzzleExpiry(track);
     
     if (expired) {
       console.log('Puzzle expired or missing, triggering server-side rotation...');
@@ -172,34 +69,34 @@ export const rotatePuzzleIfNeeded = async () => {
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({})
+          body: JSON.stringify({ track })
         });
         
         const result = await response.json();
         
-        if (result.rotated) {
+        // 'already_current' means another visitor rotated it first
+        if (result.rotated || result.status === 'already_current') {
           console.log('Successfully rotated to new puzzle via server');
-          return { success: true, newPuzzle: true };
+          return { success: true, newPuzzle: true, puzzle: null };
         } else {
           console.log('Server reported no rotation needed (or failed gracefully)');
           
-          // Check if we still have no puzzle after attempt
-          const { expired: stillExpired } = await checkDisplayPuzzleExpiry();
-          if (stillExpired) {
+          // An empty queue leaves the expired puzzle up (the 'none' fallback policy, or
+          // nothing to fall back on), so only a missing puzzle means there is none to play
+          if (!puzzle) {
              return { success: false, reason: 'no_approved_puzzles' };
           }
-          return { success: true, newPuzzle: false };
+          return { success: true, newPuzzle: false, puzzle };
         }
       } catch (fnError) {
         console.error('Error calling rotation cloud function:', fnError);
-        // Fallback for admins: try direct write if function fails (e.g. local emulator issues)
-        // This will only work if authenticated largely due to rules
-        // But we return error to avoid confusing behavior
+        // Keep playing the expired puzzle rather than show nothing
+        if (puzzle) return { success: true, newPuzzle: false, puzzle };
         return { success: false, error: fnError };
       }
     } else {
       console.log('Current puzzle is still valid');
-      return { success: true, newPuzzle: false };
+      return { success: true, newPuzzle: false, puzzle };
     }
   } catch (error) {
     console.error('Error in puzzle rotation:', error);
@@ -208,11 +105,11 @@ export const rotatePuzzleIfNeeded = async () => {
 };
 
 /**
- * Get the current display puzzle
+ * Get a track's current display puzzle (admin only - includes the answer)
  */
-export const getCurrentDisplayPuzzle = async () => {
+export const getCurrentDisplayPuzzle = async (track = DEFAULT_TRACK) => {
   try {
-    const displayDocRef = doc(db, 'displayPuzzle', 'current');
+    const displayDocRef = doc(db, 'displayPuzzle', getTrackDocId(track));
     const displayDoc = await getDoc(displayDocRef);
     
     if (!displayDoc.exists()) {
@@ -226,24 +123,82 @@ export const getCurrentDisplayPuzzle = async () => {
   }
 };
 
+/**
+ * Get the public view of a track's current puzzle, or of an archived one when historyId is given
+ * Only contains the clues up to clueIndex, never the answer
+ */
+export const getPublicPuzzle = async (clueIndex = 0, historyId = null, track = DEFAULT_TRACK) => {
+  await ensurePlayer();
+  const getPuzzleFn = httpsCallable(functions, 'getPublicPuzzle');
+  const result = await getPuzzleFn({ clueIndex, historyId, track });
+  return result.data.puzzle;
+};
+
+/**
+ * Listen for rotations of a track's live puzzle
+ * Calls onChange with { sourceId, puzzleDate, expiryDate } (expiryDate as a
+ * Date), or null when there is no live puzzle. Returns the unsubscribe function.
+ */
+export const subscribeToPuzzleStatus = (track, onChange) => {
+  return onSnapshot(doc(db, 'puzzleStatus', getTrackDocId(track)), (statusDoc) => {
+    if (!statusDoc.exists()) {
+      onChange(null);
+      return;
+    }
+    const status = statusDoc.data();
+    onChange({
+      sourceId: status.sourceId || null,
+      puzzleDate: status.puzzleDate || null,
+      expiryDate: status.expiryDate ? status.expiryDate.toDate() : null
+    });
+  }, (error) => {
+    console.error('Error listening to puzzle status:', error);
+  });
+};
+
+/**
+ * Check a guess on the server
+ * Resolves to { result: 'won' | 'close' | 'wrong', movieName?, clues? } - the answer and
+ * unblurred clues only on a win
+ */
+export const verifyGuess = async (puzzleId, guess, clueIndex, historyId = null, track = DEFAULT_TRACK) => {
+  await ensurePlayer();
+  const verifyGuessFn = httpsCallable(functions, 'verifyGuess');
+  const result = await verifyGuessFn({ puzzleId, guess, clueIndex, historyId, track });
+  return result.data;
+};
+
+/**
+ * Give up and get the answer from the server (last clue only)
+ * Resolves to { movieName, clues }, the clues with their images unblurred
+ */
+export const revealAnswer = async (puzzleId, clueIndex, historyId = null, track = DEFAULT_TRACK) => {
+  await ensurePlayer();
+  const revealAnswerFn = httpsCallable(functions, 'revealAnswer');
+  const result = await revealAnswerFn({ puzzleId, clueIndex, historyId, track });
+  return result.data;
+};
+
+/**
+ * Number of puzzles in a track waiting for review plus approved ones not yet played
+ */
+export const fetchQueueLength = async (track = DEFAULT_TRACK) => {
+  await ensurePlayer();
+  const getQueueLengthFn = httpsCallable(functions, 'getQueueLength');
+  const result = await getQueueLengthFn({ track });
+  return result.data.waiting + result.data.approved;
+};
+
 /**
  * Manually trigger puzzle rotation (for admin use)
+ * Runs the same transactional rotation as the scheduled functions
  */
-export const manualRotatePuzzle = async () => {
+export const manualRotatePuzzle = async (track = DEFAULT_TRACK) => {
   try {
-    const displayDocRef = doc(db, 'displayPuzzle', 'current');
-    const displayDoc = await getDoc(displayDocRef);
-    
-    // Move current to history if exists
-    if (displayDoc.exists()) {
-      await moveToHistory(displayDoc.data());
-    }
-    
-    // Get and set next puzzle
-    const nextPuzzle = await getNextApprovedPuzzle();
+    const rotateFn = httpsCallable(functions, 'manualRotatePuzzle');
+    const result = await rotateFn({ track });
     
-    if (nextPuzzle) {
-      await setDisplayPuzzle(nextPuzzle);
+    if (result.data.success) {
       return { success: true };
     } else {
       return { success: false, reason: 'no_approved_puzzles' };
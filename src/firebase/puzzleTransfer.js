@@ -0,0 +1,336 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './config';
+import { commitAdminAction } from './audit';
+import { getCurrentDisplayPuzzle } from './puzzleRotation';
+import { getModerationSettings, fetchRecentlyPlayed } from './moderation';
+import { normalizePuzzleContent, parseAlternateNames, validatePuzzle, MAX_MOVIE_NAME_LENGTH } from '../../functions/shared/puzzleSchema.js';
+import { findDuplicates } from '../../functions/shared/duplicates.js';
+import { DEFAULT_TRACK, TRACK_IDS, isTrack } from '../../functions/shared/tracks.js';
+
+/**
+ * Collections admins can export, and the ones an import can fill
+ */
+export const EXPORT_COLLECTIONS = {
+  waitingPuzzles: 'Queue (pending)',
+  approvedPuzzles: 'Approved',
+  rejectedPuzzles: 'Rejected',
+  historyPuzzles: 'History',
+  vaultPuzzles: 'Vault'
+};
+
+export const IMPORT_TARGETS = ['waitingPuzzles', 'approvedPuzzles', 'vaultPuzzles'];
+
+// Shown as "Puzzle by ..." for rows that don't say who wrote them
+export const DEFAULT_IMPORT_SUBMITTER = 'CineMyst';
+
+// Firestore allows 500 writes per batch, two of which go to the audit log
+const IMPORT_BATCH_SIZE = 400;
+
+const CLUE_COLUMN = /^clue(\d+)$/;
+
+/**
+ * Firestore values as plain JSON: timestamps become ISO strings
+ */
+const toPlain = (value) => {
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPlain(v)]));
+  }
+  return value;
+};
+
+/**
+ * Every doc of a collection as plain objects, including history's finalStats (admin only)
+ */
+export const exportCollection = async (collectionName) => {
+  const snapshot = await getDocs(collection(db, collectionName));
+  return snapshot.docs.map(exportDoc => ({ id: exportDoc.id, ...toPlain(exportDoc.data()) }));
+};
+
+const escapeCSV = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+/**
+ * Exported docs as CSV
+ * Clues get a column each (clue1, clue2, ...); typed clues and any other
+ * nested field (finalStats, editHistory) are written as JSON in their cell.
+ */
+export const toCSV = (docs) => {
+  const clueColumns = Math.max(0, ...docs.map(d => (d.clues || []).length));
+  const otherKeys = [...new Set(docs.flatMap(Object.keys))]
+    .filter(key => !['id', 'movieName', 'alternateNames', 'clues'].includes(key))
+    .sort();
+  const header = ['id', 'movieName', 'alternateNames', ...Array.from({ length: clueColumns }, (_, i) => `clue${i + 1}`), ...otherKeys];
+
+  const rows = docs.map((d) => [
+    d.id,
+    d.movieName || '',
+    (d.alternateNames || []).join(', '),
+    ...Array.from({ length: clueColumns }, (_, i) => toCell((d.clues || [])[i])),
+    ...otherKeys.map(key => toCell(d[key]))
+  ]);
+
+  return [header, ...rows].map(row => row.map(escapeCSV).join(',')).join('\r\n');
+};
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+ */
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim()));
+};
+
+/**
+ * Parse an import file into raw rows
+ * JSON is an array of puzzles; CSV has a header row naming the columns
+ * (the same columns an export writes). Throws if the file can't be read.
+ */
+export const parseImportFile = (text, format) => {
+  const content = text.replace(/^\uFEFF/, '');
+
+  if (format === 'json') {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) throw new Error('JSON file must contain an array of puzzles');
+    return data;
+  }
+
+  const [header, ...rows] = parseCSVRows(content);
+  if (!header) throw new Error('CSV file is empty');
+  const columns = header.map(h => h.trim());
+  return rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+};
+
+// A CSV cell holding a typed clue or a list is JSON
+const parseJSONCell = (value) => {
+  if (typeof value !== 'string' || !/^[[{]/.test(value.trim())) return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+// Bookkeeping an export writes that an import keeps, so a round trip between
+// projects doesn't lose a puzzle's history. Dates arrive as ISO strings.
+const KEPT_DATE_FIELDS = ['createdAt', 'approvedAt', 'lastEditedAt', 'resubmittedAt'];
+const EDIT_ENTRY_FIELDS = ['editedBy', 'editorUid', 'editedAt', 'fields', 'previous'];
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * The exported history fields of a raw row, checked and with dates as Dates
+ * Resolves to { kept, problems }; kept only holds fields that were present.
+ */
+const parseKeptFields = (row, now = new Date()) => {
+  const kept = {};
+  const problems = [];
+
+  KEPT_DATE_FIELDS.forEach((field) => {
+    const date = parseDate(row[field]);
+    if (date === undefined || (date && date > now)) problems.push(`${field} must be a past date`);
+    else if (date) kept[field] = date;
+  });
+
+  const editHistory = parseJSONCell(row.editHistory);
+  if (editHistory !== undefined && editHistory !== '') {
+    const entries = Array.isArray(editHistory) ? editHistory : null;
+    const valid = entries && entries.every(entry => entry && typeof entry === 'object'
+      && Array.isArray(entry.fields) && parseDate(entry.editedAt));
+    if (valid) {
+      kept.editHistory = entries.map(entry => ({
+        ...Object.fromEntries(EDIT_ENTRY_FIELDS.filter(key => entry[key] !== undefined).map(key => [key, entry[key]])),
+        editedAt: parseDate(entry.editedAt)
+      }));
+    } else {
+      problems.push('editHistory must be a list of edits, as exported');
+    }
+  }
+
+  if (row.revision !== undefined && row.revision !== '') {
+    const revision = Number(row.revision);
+    if (Number.isInteger(revision) && revision >= 0) kept.revision = revision;
+    else problems.push('revision must be a whole number');
+  }
+
+  const previousRejection = parseJSONCell(row.previousRejection);
+  if (previousRejection && typeof previousRejection === 'object' && !Array.isArray(previousRejection)) {
+    kept.previousRejection = { reason: previousRejection.reason || null, note: previousRejection.note || '' };
+  }
+
+  return { kept, problems };
+};
+
+/**
+ * One raw row as a puzzle, whichever format it came from
+ */
+const rowToPuzzle = (row) => {
+  const clues = Array.isArray(row.clues)
+    ? row.clues
+    : Object.keys(row)
+      .filter(key => CLUE_COLUMN.test(key) && String(row[key]).trim())
+      .sort((a, b) => Number(a.match(CLUE_COLUMN)[1]) - Number(b.match(CLUE_COLUMN)[1]))
+      .map(key => parseJSONCell(row[key]));
+
+  const alternateNames = parseJSONCell(row.alternateNames);
+
+  return {
+    ...normalizePuzzleContent({
+      movieName: row.movieName,
+      alternateNames: Array.isArray(alternateNames) ? alternateNames : parseAlternateNames(alternateNames),
+      clues
+    }),
+    submittedBy: String(row.submittedBy || '').trim() || DEFAULT_IMPORT_SUBMITTER,
+    track: String(row.track || '').trim() || DEFAULT_TRACK,
+    scheduledDate: String(row.scheduledDate || '').trim() || null
+  };
+};
+
+/**
+ * Live, queued, approved, vault and recently played puzzles an import is checked against
+ */
+export const fetchImportCandidates = async () => {
+  const settings = await getModerationSettings();
+  const [waitingSnapshot, approvedSnapshot, vaultSnapshot, recentlyPlayed, live] = await Promise.all([
+    getDocs(collection(db, 'waitingPuzzles')),
+    getDocs(collection(db, 'approvedPuzzles')),
+    getDocs(collection(db, 'vaultPuzzles')),
+    fetchRecentlyPlayed(settings.replayCooldownDays),
+    Promise.all(TRACK_IDS.map(track => getCurrentDisplayPuzzle(track)))
+  ]);
+
+  return [
+    ...waitingSnapshot.docs.map(d => ({ id: d.id, ...d.data(), status: 'waiting' })),
+    ...approvedSnapshot.docs.map(d => ({ id: d.id, ...d.data(), status: 'approved' })),
+    ...vaultSnapshot.docs.map(d => ({ id: d.id, ...d.data(), status: 'vault' })),
+    ...recentlyPlayed.map(p => ({ ...p, status: 'played' })),
+    ...live.filter(Boolean).map(p => ({ ...p, id: p.sourceId, status: 'live' }))
+  ];
+};
+
+/**
+ * Dry run of an import: each row with its puzzle, its problems and its likely duplicates
+ * Rows are also checked against earlier rows of the same file. Pinned dates
+ * only apply to the approved queue and must not be before firstDateKey.
+ * Nothing is written.
+ */
+export const previewImport = (rows, { target, candidates, firstDateKey }) => {
+  const accepted = [];
+
+  return rows.map((row, index) => {
+    const { kept, problems: keptProblems } = parseKeptFields(row || {});
+    const puzzle = { ...rowToPuzzle(row || {}), kept };
+    const problems = [...validatePuzzle(puzzle), ...keptProblems];
+
+    if (!isTrack(puzzle.track)) {
+      problems.push(`Unknown track "${puzzle.track}"`);
+    }
+    if (puzzle.submittedBy.length > MAX_MOVIE_NAME_LENGTH) {
+      problems.push('Submitter name is too long');
+    }
+    if (puzzle.scheduledDate && target === 'approvedPuzzles') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(puzzle.scheduledDate)) {
+        problems.push('scheduledDate must be YYYY-MM-DD');
+      } else if (puzzle.scheduledDate < firstDateKey) {
+        problems.push("Can't schedule a puzzle in the past");
+      }
+    }
+
+    const duplicates = findDuplicates(puzzle, [...candidates, ...accepted]);
+    if (problems.length === 0) {
+      accepted.push({ ...puzzle, id: `row_${index + 1}`, status: 'file' });
+    }
+
+    return { row: index + 1, puzzle, problems, duplicates };
+  });
+};
+
+/**
+ * Write previewed puzzles into the waiting or approved queue, or the vault (admin only)
+ * Exported history (createdAt, edit history, revisions, approvedAt for the
+ * approved queue) is kept. Imported puzzles have no submitter account, since
+ * uids don't carry over between projects, and importedBy/importedAt describe
+ * this import. Each batch is recorded in the audit log with source
+ * ({ format, file }) and the number of puzzles it wrote.
+ * Resolves to the number written.
+ */
+export const importPuzzles = async (puzzles, target, admin, source = {}) => {
+  if (!IMPORT_TARGETS.includes(target)) throw new Error(`Can't import into ${target}`);
+
+  for (let start = 0; start < puzzles.length; start += IMPORT_BATCH_SIZE) {
+    const chunk = puzzles.slice(start, start + IMPORT_BATCH_SIZE);
+    const details = { count: chunk.length, to: target, ...source };
+    await commitAdminAction('import', admin, { collection: target, id: null, movieName: null }, details, (batch, auditId) => {
+      chunk.forEach((puzzle) => {
+        const { scheduledDate, kept = {}, ...content } = puzzle;
+        const { approvedAt, ...history } = kept;
+        batch.set(doc(collection(db, target)), {
+          ...content,
+          ...history,
+          submitterUid: null,
+          createdAt: history.createdAt || serverTimestamp(),
+          importedBy: admin.email || admin.uid,
+          importedAt: serverTimestamp(),
+          ...(target === 'approvedPuzzles' ? { approvedAt: approvedAt || serverTimestamp() } : {}),
+          ...(target === 'approvedPuzzles' && scheduledDate ? { scheduledDate } : {}),
+          auditId
+        });
+      });
+    });
+  }
+
+  return puzzles.length;
+};
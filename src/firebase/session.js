@@ -0,0 +1,24 @@
+import { signInAnonymously } from 'firebase/auth';
+import { auth } from './config';
+
+let pendingSignIn = null;
+
+/**
+ * The signed-in player, signing visitors in as a guest first if they aren't
+ * The functions tell players apart by uid (rate limits, solve counts, presence),
+ * so every call a player makes goes out with an account - an anonymous one
+ * unless they have signed in, the same as "Track as Guest".
+ */
+export const ensurePlayer = async () => {
+  await auth.authStateReady();
+  if (auth.currentUser) return auth.currentUser;
+
+  // Calls made side by side share one guest account
+  if (!pendingSignIn) {
+    pendingSignIn = signInAnonymously(auth).finally(() => {
+      pendingSignIn = null;
+    });
+  }
+  const credential = await pendingSignIn;
+  return credential.user;
+};
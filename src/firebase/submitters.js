@@ -0,0 +1,96 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './config';
+
+/**
+ * Get the submitter profile for a signed-in user, or null if they haven't claimed a name
+ */
+export const getSubmitterProfile = async (uid) => {
+  try {
+    const profileDoc = await getDoc(doc(db, 'submitters', uid));
+    return profileDoc.exists() ? profileDoc.data() : null;
+  } catch (error) {
+    console.error('Error getting submitter profile:', error);
+    return null;
+  }
+};
+
+/**
+ * Claim a public submitter name for the signed-in user
+ * Names are unique (case-insensitive) so nobody can post as someone else.
+ * Resolves to the new profile, or throws if the name is taken.
+ */
+export const claimSubmitterName = async (uid, displayName) => {
+  const name = displayName.trim();
+  const nameKey = name.toLowerCase();
+  const nameRef = doc(db, 'submitterNames', nameKey);
+  const profileRef = doc(db, 'submitters', uid);
+
+  return runTransaction(db, async (t) => {
+    const nameDoc = await t.get(nameRef);
+    if (nameDoc.exists() && nameDoc.data().uid !== uid) {
+      throw new Error('name_taken');
+    }
+
+    const profile = {
+      displayName: name,
+      displayNameLower: nameKey,
+      createdAt: serverTimestamp()
+    };
+    t.set(nameRef, { uid });
+    t.set(profileRef, profile);
+    return profile;
+  });
+};
+
+/**
+ * The signed-in submitter's puzzles with their current status and date
+ */
+export const fetchMySubmissions = async () => {
+  const getSubmissionsFn = httpsCallable(functions, 'getMySubmissions');
+  const result = await getSubmissionsFn();
+  return result.data.submissions;
+};
+
+/**
+ * Send a new puzzle to the review queue as the signed-in submitter
+ * puzzle.track picks the track it is queued for. The server validates it,
+ * credits the submitter's claimed name and applies the per-account submission limit.
+ */
+export const submitPuzzle = async (puzzle) => {
+  const submitFn = httpsCallable(functions, 'submitPuzzle');
+  const result = await submitFn(puzzle);
+  return result.data;
+};
+
+/**
+ * Top contributors, ranked by 'published' (puzzles played) or 'avgSolveClue' (difficulty)
+ */
+export const fetchLeaderboard = async (sortBy = 'published', size = 50) => {
+  const leaderboardQuery = query(
+    collection(db, 'contributors'),
+    orderBy(sortBy, 'desc'),
+    limit(size)
+  );
+  const snapshot = await getDocs(leaderboardQuery);
+  return snapshot.docs.map(contributorDoc => ({ id: contributorDoc.id, ...contributorDoc.data() }));
+};
+
+/**
+ * Recompute the leaderboard from the archive (admin only)
+ */
+export const rebuildContributorStats = async () => {
+  const rebuildFn = httpsCallable(functions, 'rebuildContributorStats');
+  const result = await rebuildFn();
+  return result.data;
+};
@@ -6,3 +6,21 @@ import router from './router'
 const app = createApp(App)
 app.use(router)
 app.mount('#app')
+
+// Offline support - only in builds, so the dev server never serves stale modules
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js')
+      await navigator.serviceWorker.ready
+
+      // Hand over the assets loaded before the worker was in control, like lazy route chunks
+      const urls = performance.getEntriesByType('resource')
+        .map(entry => entry.name)
+        .filter(url => url.startsWith(`${window.location.origin}/assets/`))
+      if (registration.active) registration.active.postMessage({ type: 'CACHE_URLS', urls })
+    } catch (e) {
+      console.error('Service worker registration failed:', e)
+    }
+  })
+}
@@ -1,10 +1,14 @@
 import { createRouter, createWebHistory } from 'vue-router'
+import { DEFAULT_TRACK, isTrack } from '../../functions/shared/tracks.js'
 
 // Lazy load components
 const HomeView = () => import('../views/HomeView.vue')
 const SubmitView = () => import('../views/SubmitView.vue')
 const AdminView = () => import('../views/AdminView.vue')
 const HistoryView = () => import('../views/HistoryView.vue')
+const ArchivePlayView = () => import('../views/ArchivePlayView.vue')
+const MySubmissionsView = () => import('../views/MySubmissionsView.vue')
+const ContributorsView = () => import('../views/ContributorsView.vue')
 
 const router = createRouter({
   history: createWebHistory(),
@@ -14,16 +18,45 @@ const router = createRouter({
       name: 'home',
       component: HomeView
     },
+    {
+      // Daily puzzle of one track; the default track lives at /
+      path: '/t/:track',
+      name: 'track',
+      component: HomeView,
+      beforeEnter: (to) => {
+        if (!isTrack(to.params.track) || to.params.track === DEFAULT_TRACK) return { name: 'home' }
+      }
+    },
     {
       path: '/history',
       name: 'history',
       component: HistoryView
     },
+    {
+      path: '/history/:historyId',
+      name: 'history-puzzle',
+      component: HistoryView
+    },
+    {
+      path: '/play/:historyId',
+      name: 'play-archive',
+      component: ArchivePlayView
+    },
     {
       path: '/submit',
       name: 'submit',
       component: SubmitView
     },
+    {
+      path: '/my-submissions',
+      name: 'my-submissions',
+      component: MySubmissionsView
+    },
+    {
+      path: '/contributors',
+      name: 'contributors',
+      component: ContributorsView
+    },
     {
       path: '/admin',
       name: 'admin',